@@ -0,0 +1,242 @@
+// Changes to tables that may already exist. CREATE TABLE IF NOT EXISTS in
+// queries.js leaves an existing table as it is, so every column or index
+// added to a table after it first shipped is listed here as well, oldest
+// first. config/dbConnection.js runs them after the setup queries and skips
+// the ones information_schema shows as done:
+//   { table, column, alter }                      done once the column exists
+//   { table, column, columnType, nullable, alter } done once the column has
+//                                                 that type and nullability
+//   { table, index, alter }                       done once the index exists
+//   { table, column, references, alter }          done once the column has a
+//                                                 foreign key to that table
+// `backfill` runs right after its step, so it only ever sees rows that
+// predate the change.
+const migrations = [
+  // Offline delivery queue. Messages sent before it were already delivered.
+  {
+    table: "messages",
+    column: "status",
+    alter: "ADD COLUMN status ENUM('pending', 'delivered') DEFAULT 'pending'",
+    backfill: "UPDATE messages SET status = 'delivered'",
+  },
+  {
+    table: "messages",
+    index: "idx_messages_pending",
+    alter: "ADD INDEX idx_messages_pending (to_user, status)",
+  },
+  // Delivery and read receipts. Older delivered messages count as read, so
+  // history does not show up as unread.
+  {
+    table: "messages",
+    column: "status",
+    columnType: "enum('pending','delivered','read')",
+    alter: "MODIFY COLUMN status ENUM('pending', 'delivered', 'read') DEFAULT 'pending'",
+  },
+  {
+    table: "messages",
+    column: "delivered_at",
+    alter: "ADD COLUMN delivered_at DATETIME",
+    backfill: "UPDATE messages SET delivered_at = timestamp WHERE status = 'delivered'",
+  },
+  {
+    table: "messages",
+    column: "read_at",
+    alter: "ADD COLUMN read_at DATETIME",
+    backfill: "UPDATE messages SET status = 'read', read_at = timestamp WHERE status = 'delivered'",
+  },
+  // Unread counts
+  {
+    table: "messages",
+    index: "idx_messages_unread",
+    alter: "ADD INDEX idx_messages_unread (to_user, read_at, from_user)",
+  },
+  // Presence
+  {
+    table: "users",
+    column: "last_seen",
+    alter: "ADD COLUMN last_seen DATETIME AFTER online_status",
+  },
+  // Editing and deleting messages
+  {
+    table: "messages",
+    column: "edited",
+    alter: "ADD COLUMN edited BOOLEAN DEFAULT false",
+  },
+  {
+    table: "messages",
+    column: "edited_at",
+    alter: "ADD COLUMN edited_at DATETIME",
+  },
+  {
+    table: "messages",
+    column: "deleted",
+    alter: "ADD COLUMN deleted BOOLEAN DEFAULT false",
+  },
+  {
+    table: "messages",
+    column: "deleted_at",
+    alter: "ADD COLUMN deleted_at DATETIME",
+  },
+  // Attachments
+  {
+    table: "messages",
+    column: "message_type",
+    alter: "ADD COLUMN message_type ENUM('text', 'image', 'audio') DEFAULT 'text'",
+  },
+  {
+    table: "messages",
+    column: "attachment",
+    alter: "ADD COLUMN attachment JSON",
+  },
+  // Group conversations: group messages have no to_user
+  {
+    table: "messages",
+    column: "to_user",
+    nullable: true,
+    alter: "MODIFY COLUMN to_user INT NULL",
+  },
+  {
+    table: "messages",
+    column: "group_id",
+    alter: "ADD COLUMN group_id INT",
+  },
+  {
+    table: "messages",
+    index: "idx_messages_group",
+    alter: "ADD INDEX idx_messages_group (group_id, id)",
+  },
+  // Replies
+  {
+    table: "messages",
+    column: "reply_to",
+    alter: "ADD COLUMN reply_to INT",
+  },
+  // Message search
+  {
+    table: "messages",
+    index: "idx_messages_search",
+    alter: "ADD FULLTEXT INDEX idx_messages_search (message)",
+  },
+  // Moderation
+  {
+    table: "users",
+    column: "status",
+    columnType: "enum('ACTIVE','NON_ACTIVE','SUSPENDED')",
+    alter: "MODIFY COLUMN status ENUM('ACTIVE', 'NON_ACTIVE', 'SUSPENDED') DEFAULT 'ACTIVE'",
+  },
+  {
+    table: "users",
+    column: "role",
+    alter: "ADD COLUMN role ENUM('user', 'admin') DEFAULT 'user'",
+  },
+  {
+    table: "users",
+    column: "hidden",
+    alter: "ADD COLUMN hidden BOOLEAN DEFAULT false",
+  },
+  {
+    table: "messages",
+    column: "hidden",
+    alter: "ADD COLUMN hidden BOOLEAN DEFAULT false",
+  },
+  // Discovery bounding box
+  {
+    table: "users",
+    index: "idx_users_location",
+    alter: "ADD INDEX idx_users_location (latitude, longitude)",
+  },
+  // Skips get an id so one can be undone, and expire by date
+  {
+    table: "skip",
+    column: "id",
+    alter: "ADD COLUMN id INT AUTO_INCREMENT PRIMARY KEY FIRST",
+  },
+  {
+    table: "skip",
+    index: "idx_skip_user",
+    alter: "ADD INDEX idx_skip_user (user_id, date)",
+  },
+  // Likes are stored as requests of their own kind
+  {
+    table: "request",
+    column: "kind",
+    alter: "ADD COLUMN kind ENUM('request', 'like') DEFAULT 'request'",
+  },
+  // Subscription plans
+  {
+    table: "users",
+    column: "plan_id",
+    alter: "ADD COLUMN plan_id INT",
+  },
+  {
+    table: "payment_history",
+    column: "plan_id",
+    alter: "ADD COLUMN plan_id INT",
+  },
+  {
+    table: "payment_history",
+    column: "amount",
+    alter: "ADD COLUMN amount DECIMAL(10,2)",
+  },
+  {
+    table: "payment_history",
+    column: "currency",
+    alter: "ADD COLUMN currency CHAR(3)",
+  },
+  {
+    table: "payment_history",
+    column: "period_start",
+    alter: "ADD COLUMN period_start DATE",
+  },
+  {
+    table: "payment_history",
+    column: "period_end",
+    alter: "ADD COLUMN period_end DATE",
+  },
+  {
+    table: "payment_history",
+    column: "plan_id",
+    references: "plans",
+    alter: "ADD FOREIGN KEY (plan_id) REFERENCES plans(id)",
+  },
+  // Payment status, provider and refunds
+  {
+    table: "payment_history",
+    column: "status",
+    alter: "ADD COLUMN status ENUM('paid', 'refunded') DEFAULT 'paid'",
+  },
+  {
+    table: "payment_history",
+    column: "provider",
+    alter: "ADD COLUMN provider VARCHAR(32)",
+  },
+  {
+    table: "payment_history",
+    column: "provider_reference",
+    alter: "ADD COLUMN provider_reference VARCHAR(255)",
+  },
+  {
+    table: "payment_history",
+    column: "refunded_at",
+    alter: "ADD COLUMN refunded_at DATETIME",
+  },
+  {
+    table: "payment_history",
+    column: "refund_reason",
+    alter: "ADD COLUMN refund_reason VARCHAR(255)",
+  },
+  {
+    table: "subscription_events",
+    column: "event",
+    columnType: "enum('started','renewed','expired','refunded')",
+    alter: "MODIFY COLUMN event ENUM('started', 'renewed', 'expired', 'refunded') NOT NULL",
+  },
+  // A provider payment is recorded once
+  {
+    table: "payment_history",
+    index: "uq_payment_history_reference",
+    alter: "ADD UNIQUE KEY uq_payment_history_reference (provider, provider_reference)",
+  },
+];
+
+module.exports = migrations;
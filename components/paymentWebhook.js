@@ -0,0 +1,142 @@
+// Handler for POST /payments/webhook. It gets its collaborators passed in so
+// it can be driven without a database: `provider` is a config/paymentProvider
+// adapter, `queryDb` runs a query, `applyPayment` records a paid plan
+// (applySubscriptionPayment in index.js) and `applyRefund` marks a
+// payment_history row refunded, resolving with null when it already was
+// (refundSubscriptionPayment).
+const createPaymentWebhook = ({ provider, queryDb, applyPayment, applyRefund }) => {
+  return async (req, res) => {
+    const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+    if (!secret) {
+      return res
+        .status(503)
+        .json({ status: false, message: "Payment webhook is not configured" });
+    }
+
+    try {
+      provider.verifySignature(
+        req.rawBody ? req.rawBody.toString("utf8") : "",
+        req.headers[provider.signatureHeader],
+        secret
+      );
+    } catch (err) {
+      return res.status(401).json({ status: false, message: err.message });
+    }
+
+    const event = provider.parseEvent(req.body || {});
+    if (!event.id || !event.type) {
+      return res.status(400).json({ status: false, message: "Invalid event" });
+    }
+
+    // The primary key on the event id lets only one delivery through
+    let claimed;
+    try {
+      claimed = await queryDb(
+        "INSERT IGNORE INTO payment_events (id, provider, type, user_id) VALUES (?, ?, ?, ?)",
+        [event.id, provider.name, event.type, event.userID || null]
+      );
+    } catch (err) {
+      console.error("Error recording payment event:", err);
+      return res.status(500).json({ status: false, message: err.message });
+    }
+    if (claimed.affectedRows === 0) {
+      return res
+        .status(200)
+        .json({ status: true, duplicate: true, message: "Event already received" });
+    }
+
+    try {
+      if (!event.paid && !event.refunded) {
+        await queryDb("UPDATE payment_events SET status = 'ignored' WHERE id = ?", [event.id]);
+        return res
+          .status(200)
+          .json({ status: true, processed: false, message: "Event type ignored" });
+      }
+
+      // Different events can report the same payment; only the first counts
+      const recorded = await queryDb(
+        "SELECT * FROM payment_history WHERE provider = ? AND provider_reference = ?",
+        [provider.name, event.reference]
+      );
+
+      if (event.refunded) {
+        if (recorded.length === 0) {
+          await queryDb(
+            "UPDATE payment_events SET status = 'failed', error = ? WHERE id = ?",
+            ["Payment not found", event.id]
+          );
+          return res
+            .status(200)
+            .json({ status: true, processed: false, message: "Payment not found" });
+        }
+
+        // Refunds made through the admin route are already recorded
+        if (
+          recorded[0].status === "refunded" ||
+          !(await applyRefund(recorded[0], `${provider.name} refund ${event.reference}`))
+        ) {
+          await queryDb(
+            "UPDATE payment_events SET status = 'ignored', payment_id = ?, processed_at = NOW() WHERE id = ?",
+            [recorded[0].id, event.id]
+          );
+          return res
+            .status(200)
+            .json({ status: true, duplicate: true, message: "Refund already recorded" });
+        }
+        await queryDb(
+          "UPDATE payment_events SET status = 'processed', payment_id = ?, processed_at = NOW() WHERE id = ?",
+          [recorded[0].id, event.id]
+        );
+        return res.status(200).json({ status: true, processed: true, message: "Refund recorded" });
+      }
+
+      if (recorded.length > 0) {
+        await queryDb(
+          "UPDATE payment_events SET status = 'ignored', payment_id = ?, processed_at = NOW() WHERE id = ?",
+          [recorded[0].id, event.id]
+        );
+        return res
+          .status(200)
+          .json({ status: true, duplicate: true, message: "Payment already recorded" });
+      }
+
+      const paymentRecord = await applyPayment(
+        event.userID,
+        event.plan || "monthly",
+        event.paidAt,
+        `${provider.name} payment ${event.reference}`,
+        {
+          provider: provider.name,
+          reference: event.reference,
+          amount: event.amount,
+          currency: event.currency,
+        }
+      );
+      await queryDb(
+        "UPDATE payment_events SET status = 'processed', payment_id = ?, processed_at = NOW() WHERE id = ?",
+        [paymentRecord.id, event.id]
+      );
+
+      res.status(200).json({ status: true, processed: true, message: "Payment recorded" });
+    } catch (err) {
+      if (err.status) {
+        // Bad data (unknown user or plan) will not get better on a retry
+        await queryDb(
+          "UPDATE payment_events SET status = 'failed', error = ? WHERE id = ?",
+          [err.message.slice(0, 255), event.id]
+        ).catch((updateErr) => console.error("Error updating payment event:", updateErr));
+        console.error(`Payment event ${event.id} could not be applied:`, err.message);
+        return res.status(200).json({ status: true, processed: false, message: err.message });
+      }
+
+      // Release the event so the provider's retry is processed
+      await queryDb("DELETE FROM payment_events WHERE id = ?", [event.id]).catch((deleteErr) =>
+        console.error("Error releasing payment event:", deleteErr)
+      );
+      console.error("Error processing payment event:", err);
+      res.status(500).json({ status: false, message: err.message });
+    }
+  };
+};
+
+module.exports = createPaymentWebhook;
@@ -14,19 +14,90 @@ const setupQueries = `
     profile_images JSON,
     document_url VARCHAR(255),
     education VARCHAR(255),
-    status ENUM('ACTIVE', 'NON_ACTIVE') DEFAULT 'ACTIVE',
+    status ENUM('ACTIVE', 'NON_ACTIVE', 'SUSPENDED') DEFAULT 'ACTIVE',
+    role ENUM('user', 'admin') DEFAULT 'user',
+    hidden BOOLEAN DEFAULT false,
     online_status ENUM('ONLINE','OFFLINE') DEFAULT 'OFFLINE',
+    last_seen DATETIME,
     subscribed BOOLEAN DEFAULT false,
-    subscription_expiry DATE
+    subscription_expiry DATE,
+    plan_id INT,
+    INDEX idx_users_location (latitude, longitude)
+);
+
+CREATE TABLE IF NOT EXISTS attachments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  type ENUM('image', 'audio') NOT NULL,
+  url VARCHAR(500) NOT NULL,
+  mime_type VARCHAR(100) NOT NULL,
+  size INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
 CREATE TABLE IF NOT EXISTS messages (
   id INT AUTO_INCREMENT PRIMARY KEY,
   app_id VARCHAR(50) NOT NULL,
   from_user INT NOT NULL,
-  to_user INT NOT NULL,
+  to_user INT,
+  group_id INT,
   message TEXT NOT NULL,
-  timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  message_type ENUM('text', 'image', 'audio') DEFAULT 'text',
+  attachment JSON,
+  status ENUM('pending', 'delivered', 'read') DEFAULT 'pending',
+  delivered_at DATETIME,
+  read_at DATETIME,
+  edited BOOLEAN DEFAULT false,
+  edited_at DATETIME,
+  deleted BOOLEAN DEFAULT false,
+  deleted_at DATETIME,
+  reply_to INT,
+  hidden BOOLEAN DEFAULT false,
+  timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_messages_pending (to_user, status),
+  INDEX idx_messages_unread (to_user, read_at, from_user),
+  INDEX idx_messages_group (group_id, id),
+  FULLTEXT INDEX idx_messages_search (message)
+);
+
+CREATE TABLE IF NOT EXISTS message_reactions (
+  message_id INT NOT NULL,
+  user_id INT NOT NULL,
+  emoji VARCHAR(32) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (message_id, user_id, emoji),
+  FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS chat_groups (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  app_id VARCHAR(50) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  created_by INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+CREATE TABLE IF NOT EXISTS group_members (
+  group_id INT NOT NULL,
+  user_id INT NOT NULL,
+  role ENUM('admin', 'member') DEFAULT 'member',
+  last_read_message_id INT DEFAULT 0,
+  joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (group_id, user_id),
+  INDEX idx_group_members_user (user_id),
+  FOREIGN KEY (group_id) REFERENCES chat_groups(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS message_edits (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  message_id INT NOT NULL,
+  previous_message TEXT NOT NULL,
+  edited_at DATETIME NOT NULL,
+  FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE
 );
 
 
@@ -35,25 +106,149 @@ CREATE TABLE IF NOT EXISTS messages (
     receiver_id INT,
     request_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     status ENUM('pending', 'accepted', 'rejected') DEFAULT 'pending',
+    kind ENUM('request', 'like') DEFAULT 'request',
     PRIMARY KEY (sender_id, receiver_id),
     FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (receiver_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
  CREATE TABLE IF NOT EXISTS skip(
+    id INT AUTO_INCREMENT PRIMARY KEY,
     user_id INT NOT NULL,
     skipped_user_id INT NOT NULL,
     date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id),
-    FOREIGN KEY (skipped_user_id) REFERENCES users(id)
+    FOREIGN KEY (skipped_user_id) REFERENCES users(id),
+    INDEX idx_skip_user (user_id, date)
  );
 
+ CREATE TABLE IF NOT EXISTS discovery_preferences (
+    user_id INT PRIMARY KEY,
+    gender VARCHAR(1100),
+    min_age INT,
+    max_age INT,
+    interests VARCHAR(1100),
+    min_distance DECIMAL(8,2),
+    max_distance DECIMAL(8,2),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+ );
+
+ CREATE TABLE IF NOT EXISTS blocks (
+    blocker_id INT NOT NULL,
+    blocked_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (blocker_id, blocked_id),
+    FOREIGN KEY (blocker_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (blocked_id) REFERENCES users(id) ON DELETE CASCADE
+ );
+
+ CREATE TABLE IF NOT EXISTS reports (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    reporter_id INT NOT NULL,
+    target_type ENUM('user', 'message') NOT NULL,
+    reported_user_id INT NOT NULL,
+    message_id INT,
+    reason ENUM('spam', 'harassment', 'inappropriate', 'fake_profile', 'underage', 'other') NOT NULL,
+    details VARCHAR(500),
+    status ENUM('open', 'reviewing', 'actioned', 'dismissed') DEFAULT 'open',
+    action ENUM('warn', 'suspend', 'delete_content'),
+    admin_note VARCHAR(500),
+    reviewed_by INT,
+    reviewed_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (reporter_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (reported_user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+    FOREIGN KEY (reviewed_by) REFERENCES users(id),
+    INDEX idx_reports_status (status, id),
+    INDEX idx_reports_target (target_type, reported_user_id, message_id)
+ );
+
+ CREATE TABLE IF NOT EXISTS plans(
+ id INT AUTO_INCREMENT PRIMARY KEY,
+ code VARCHAR(32) NOT NULL UNIQUE,
+ name VARCHAR(100) NOT NULL,
+ duration_months INT NOT NULL,
+ price DECIMAL(10,2) NOT NULL,
+ currency CHAR(3) NOT NULL DEFAULT 'USD',
+ active BOOLEAN DEFAULT true
+ );
+
+ INSERT IGNORE INTO plans (code, name, duration_months, price, currency) VALUES
+ ('monthly', 'Monthly', 1, 9.99, 'USD'),
+ ('quarterly', 'Quarterly', 3, 24.99, 'USD'),
+ ('yearly', 'Yearly', 12, 79.99, 'USD');
+
  CREATE TABLE IF NOT EXISTS payment_history(
  id INT AUTO_INCREMENT PRIMARY KEY,
  user_id INT NOT NULL,
  date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
  reason varchar(255) NOT NULL,
- FOREIGN KEY (user_id) REFERENCES users(id)
+ plan_id INT,
+ amount DECIMAL(10,2),
+ currency CHAR(3),
+ period_start DATE,
+ period_end DATE,
+ status ENUM('paid', 'refunded') DEFAULT 'paid',
+ provider VARCHAR(32),
+ provider_reference VARCHAR(255),
+ refunded_at DATETIME,
+ refund_reason VARCHAR(255),
+ UNIQUE KEY uq_payment_history_reference (provider, provider_reference),
+ FOREIGN KEY (user_id) REFERENCES users(id),
+ FOREIGN KEY (plan_id) REFERENCES plans(id)
+ );
+
+ CREATE TABLE IF NOT EXISTS payment_events(
+ id VARCHAR(255) PRIMARY KEY,
+ provider VARCHAR(32) NOT NULL,
+ type VARCHAR(100) NOT NULL,
+ user_id INT,
+ status ENUM('processing', 'processed', 'ignored', 'failed') DEFAULT 'processing',
+ payment_id INT,
+ error VARCHAR(255),
+ received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+ processed_at DATETIME,
+ FOREIGN KEY (payment_id) REFERENCES payment_history(id)
+ );
+
+ CREATE TABLE IF NOT EXISTS subscription_events(
+ id INT AUTO_INCREMENT PRIMARY KEY,
+ user_id INT NOT NULL,
+ event ENUM('started', 'renewed', 'expired', 'refunded') NOT NULL,
+ plan_id INT,
+ subscription_expiry DATE,
+ created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+ INDEX idx_subscription_events_user (user_id, id),
+ FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+ FOREIGN KEY (plan_id) REFERENCES plans(id)
+ );
+
+ CREATE TABLE IF NOT EXISTS otp_codes(
+ id INT AUTO_INCREMENT PRIMARY KEY,
+ contact VARCHAR(50) NOT NULL,
+ code_hash CHAR(64) NOT NULL,
+ attempts INT DEFAULT 0,
+ expires_at DATETIME NOT NULL,
+ consumed_at DATETIME,
+ created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+ INDEX idx_otp_contact (contact)
+ );
+
+ CREATE TABLE IF NOT EXISTS sessions(
+ id INT AUTO_INCREMENT PRIMARY KEY,
+ user_id INT NOT NULL,
+ device_id VARCHAR(255) NOT NULL,
+ refresh_token_hash CHAR(64) NOT NULL,
+ previous_token_hash CHAR(64),
+ expires_at DATETIME NOT NULL,
+ revoked_at DATETIME,
+ last_used_at DATETIME,
+ created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+ UNIQUE KEY uq_sessions_refresh (refresh_token_hash),
+ INDEX idx_sessions_previous (previous_token_hash),
+ FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
  )
 `;
 
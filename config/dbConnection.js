@@ -1,6 +1,7 @@
 require('dotenv').config();
 const mysql = require('mysql2');
 const setupQueries = require('../components/queries');
+const migrations = require('../components/migrations');
 
 const db = mysql.createConnection({
     host: process.env.MYSQLHOST,
@@ -11,24 +12,86 @@ const db = mysql.createConnection({
     multipleStatements: true
   });
 
-// DB Connection
-db.connect((err) => {
-  if (err) {
-    console.error("Error connecting to MySQL:", err);
-    return;
+// Whether a step from components/migrations.js is already in the schema
+const isMigrated = async (conn, step) => {
+  if (step.index) {
+    const [indexes] = await conn.query(
+      `SELECT 1 FROM information_schema.statistics
+       WHERE table_schema = DATABASE() AND table_name = ? AND index_name = ? LIMIT 1`,
+      [step.table, step.index]
+    );
+    return indexes.length > 0;
+  }
+  if (step.references) {
+    const [keys] = await conn.query(
+      `SELECT 1 FROM information_schema.key_column_usage
+       WHERE table_schema = DATABASE() AND table_name = ? AND column_name = ?
+       AND referenced_table_name = ? LIMIT 1`,
+      [step.table, step.column, step.references]
+    );
+    return keys.length > 0;
   }
-  console.log("Connected to MySQL");
 
-  db.query(setupQueries, (err, results) => {
+  const [columns] = await conn.query(
+    `SELECT column_type AS columnType, is_nullable AS isNullable FROM information_schema.columns
+     WHERE table_schema = DATABASE() AND table_name = ? AND column_name = ?`,
+    [step.table, step.column]
+  );
+  if (columns.length === 0) {
+    return false;
+  }
+  if (step.columnType && columns[0].columnType !== step.columnType) {
+    return false;
+  }
+  if (step.nullable !== undefined && (columns[0].isNullable === "YES") !== step.nullable) {
+    return false;
+  }
+  return true;
+};
+
+// Bring tables created by an older version up to date, one step at a time
+const runMigrations = async () => {
+  const conn = db.promise();
+  for (const step of migrations) {
+    if (await isMigrated(conn, step)) {
+      continue;
+    }
+    await conn.query(`ALTER TABLE \`${step.table}\` ${step.alter}`);
+    if (step.backfill) {
+      await conn.query(step.backfill);
+    }
+    console.log(`Migrated ${step.table}: ${step.alter}`);
+  }
+};
+
+// DB Connection. `db.ready` resolves once the tables are set up and
+// migrated; nothing that needs them should start before that.
+db.ready = new Promise((resolve, reject) => {
+  db.connect((err) => {
     if (err) {
-      console.error("Error setting up database:", err);
-      return;
+      console.error("Error connecting to MySQL:", err);
+      return reject(err);
     }
-    console.log("Database setup complete");
-   
-  });
-});
+    console.log("Connected to MySQL");
 
+    db.query(setupQueries, (err, results) => {
+      if (err) {
+        console.error("Error setting up database:", err);
+        return reject(err);
+      }
+      console.log("Database setup complete");
 
+      runMigrations()
+        .then(() => {
+          console.log("Database migrations complete");
+          resolve();
+        })
+        .catch((err) => {
+          console.error("Error migrating database:", err);
+          reject(err);
+        });
+    });
+  });
+});
 
-module.exports = db;
\ No newline at end of file
+module.exports = db;
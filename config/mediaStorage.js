@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { uploadToCloudinary } = require('../utils');
+
+// Storage adapters for chat attachments. Each one exposes save(file, folder)
+// and resolves to the public URL of the stored file. Pick one with
+// MEDIA_STORAGE (cloudinary or local); without it Cloudinary is used when it
+// is configured and local disk otherwise.
+
+const cloudinaryStorage = {
+  save: (file, folder) => uploadToCloudinary(file, folder, { resource_type: 'auto' }),
+};
+
+// The extension comes from the MIME type getAttachmentType accepted, never
+// from the client's file name, so /uploads can only serve media types
+const MIME_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a',
+  'audio/aac': '.aac',
+  'audio/ogg': '.ogg',
+  'audio/webm': '.webm',
+  'audio/wav': '.wav',
+};
+
+// Writes under UPLOADS_DIR, served by the app at /uploads
+const uploadsDir = process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads');
+const localStorage = {
+  directory: uploadsDir,
+  save: async (file, folder) => {
+    const extension = MIME_EXTENSIONS[file.mimetype] || '.bin';
+    const name = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${extension}`;
+    await fs.promises.mkdir(path.join(uploadsDir, folder), { recursive: true });
+    await fs.promises.writeFile(path.join(uploadsDir, folder, name), file.buffer);
+    return `${process.env.MEDIA_BASE_URL || ''}/uploads/${folder}/${name}`;
+  },
+};
+
+const adapters = {
+  cloudinary: cloudinaryStorage,
+  local: localStorage,
+};
+
+const adapterName = process.env.MEDIA_STORAGE || (process.env.CLOUD_NAME ? 'cloudinary' : 'local');
+const mediaStorage = adapters[adapterName];
+if (!mediaStorage) {
+  throw new Error(`Unknown MEDIA_STORAGE "${process.env.MEDIA_STORAGE}"`);
+}
+
+module.exports = mediaStorage;
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const https = require('https');
+
+// Payment provider adapters. Each one names the header that carries its
+// webhook signature and turns a provider event into
+// { id, type, paid, refunded, reference, userID, plan, paidAt, amount, currency },
+// where reference is the provider's id for the payment itself and amount and
+// currency are what the provider actually charged. refund(reference) returns
+// the money for a payment and resolves with the provider's refund id. Pick
+// one with PAYMENT_PROVIDER (fake or stripe); fake is the default so local
+// development and tests can post signed events without a real provider.
+//
+// Both use the same signature scheme: "t=<unix seconds>,v1=<hex HMAC-SHA256
+// of `${t}.${rawBody}`>" keyed with PAYMENT_WEBHOOK_SECRET.
+
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const hmac = (secret, timestamp, rawBody) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+};
+
+// Throws unless the header is a fresh signature of rawBody
+const verifySignature = (rawBody, header, secret) => {
+  const parts = {};
+  String(header || '')
+    .split(',')
+    .forEach((part) => {
+      const [key, value] = part.split('=');
+      if (key && value) {
+        parts[key.trim()] = value.trim();
+      }
+    });
+
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) {
+    throw new Error('Missing signature');
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new Error('Signature has expired');
+  }
+
+  const expected = Buffer.from(hmac(secret, timestamp, rawBody), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error('Invalid signature');
+  }
+};
+
+// Events look like { id, type: 'payment.succeeded' or 'payment.refunded',
+// data: { user_id, plan, paid_at, payment_id, amount, currency } }.
+// payment_id is the provider's id for the payment; the event id stands in
+// when it is missing.
+const fakeProvider = {
+  name: 'fake',
+  signatureHeader: 'x-fake-signature',
+  parseEvent: (event) => {
+    const data = event.data || {};
+    return {
+      id: event.id,
+      type: event.type,
+      paid: event.type === 'payment.succeeded',
+      refunded: event.type === 'payment.refunded',
+      reference: data.payment_id || event.id,
+      userID: data.user_id,
+      plan: data.plan,
+      paidAt: data.paid_at ? new Date(data.paid_at) : new Date(),
+      amount: data.amount != null ? Number(data.amount) : undefined,
+      currency: data.currency ? String(data.currency).toUpperCase() : undefined,
+    };
+  },
+  // Nothing to call; the refund is as good as done
+  refund: async (reference) => `re_${reference}`,
+  // Signature header for a body, for scripts that play the provider locally
+  sign: (rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+    return `t=${timestamp},v1=${hmac(secret, timestamp, rawBody)}`;
+  },
+};
+
+// Subscriptions are paid by invoices: invoice.paid fires for the first period
+// and every renewal, with user_id and plan in the subscription metadata set
+// at checkout. A subscription checkout also sends checkout.session.completed
+// for that first invoice, so checkout sessions only count in payment mode
+// (one-off payments, which have no invoice). A full refund sends
+// charge.refunded with refunded set; partial refunds are left to the
+// dashboard.
+const stripeMetadata = (object) => {
+  if (object.object === 'invoice') {
+    const details =
+      object.subscription_details || (object.parent && object.parent.subscription_details) || {};
+    return details.metadata || object.metadata || {};
+  }
+  return object.metadata || {};
+};
+
+// Stripe amounts are in the currency's smallest unit
+const stripeAmount = (object) => {
+  const amount = object.object === 'invoice' ? object.amount_paid : object.amount_total;
+  return amount != null ? amount / 100 : undefined;
+};
+
+// POST a form to the Stripe API with STRIPE_SECRET_KEY
+const stripeRequest = (path, form, idempotencyKey) => {
+  const body = new URLSearchParams(form).toString();
+  return new Promise((resolve, reject) => {
+    const req = https.request(
+      {
+        hostname: 'api.stripe.com',
+        path: `/v1${path}`,
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Content-Length': Buffer.byteLength(body),
+          'Idempotency-Key': idempotencyKey,
+        },
+      },
+      (res) => {
+        let raw = '';
+        res.on('data', (chunk) => {
+          raw += chunk;
+        });
+        res.on('end', () => {
+          let parsed;
+          try {
+            parsed = JSON.parse(raw);
+          } catch (err) {
+            return reject(new Error(`Stripe returned ${res.statusCode}`));
+          }
+          if (res.statusCode >= 400) {
+            return reject(new Error((parsed.error && parsed.error.message) || `Stripe returned ${res.statusCode}`));
+          }
+          resolve(parsed);
+        });
+      }
+    );
+    req.on('error', reject);
+    req.end(body);
+  });
+};
+
+const stripeProvider = {
+  name: 'stripe',
+  signatureHeader: 'stripe-signature',
+  parseEvent: (event) => {
+    const object = (event.data && event.data.object) || {};
+    const metadata = stripeMetadata(object);
+    return {
+      id: event.id,
+      type: event.type,
+      paid:
+        event.type === 'invoice.paid' ||
+        (event.type === 'checkout.session.completed' &&
+          object.mode === 'payment' &&
+          object.payment_status === 'paid'),
+      refunded: event.type === 'charge.refunded' && object.refunded === true,
+      // The payment intent is shared by the session, any invoice it creates
+      // and the charge that gets refunded
+      reference: object.payment_intent || object.id,
+      userID: metadata.user_id,
+      plan: metadata.plan,
+      paidAt: event.created ? new Date(event.created * 1000) : new Date(),
+      amount: stripeAmount(object),
+      currency: object.currency ? object.currency.toUpperCase() : undefined,
+    };
+  },
+  // The idempotency key makes a repeated call return the first refund
+  refund: async (reference) => {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      throw new Error('STRIPE_SECRET_KEY is not configured');
+    }
+    const refund = await stripeRequest('/refunds', { payment_intent: reference }, `refund-${reference}`);
+    return refund.id;
+  },
+};
+
+const providers = {
+  fake: fakeProvider,
+  stripe: stripeProvider,
+};
+
+const paymentProvider = providers[process.env.PAYMENT_PROVIDER || 'fake'];
+if (!paymentProvider) {
+  throw new Error(`Unknown PAYMENT_PROVIDER "${process.env.PAYMENT_PROVIDER}"`);
+}
+paymentProvider.verifySignature = verifySignature;
+
+module.exports = paymentProvider;
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+
+// SMS adapters. Each one exposes send(to, body) and returns a Promise.
+// Pick one with SMS_PROVIDER (console, file or twilio); console is the default
+// so local development and tests never hit a real gateway.
+
+const consoleProvider = {
+  send: (to, body) => {
+    console.log(`[SMS to ${to}] ${body}`);
+    return Promise.resolve();
+  },
+};
+
+// Appends every SMS as a JSON line so scripts can read the codes back
+const fileProvider = {
+  send: (to, body) => {
+    const outbox = process.env.SMS_OUTBOX_FILE || path.join(__dirname, '..', 'sms-outbox.log');
+    const line = JSON.stringify({ to, body, sent_at: new Date().toISOString() }) + '\n';
+    return fs.promises.appendFile(outbox, line);
+  },
+};
+
+const twilioProvider = {
+  send: (to, body) => {
+    const sid = process.env.TWILIO_ACCOUNT_SID;
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    const form = new URLSearchParams({ To: to, From: process.env.TWILIO_FROM, Body: body }).toString();
+
+    return new Promise((resolve, reject) => {
+      const req = https.request(
+        {
+          method: 'POST',
+          hostname: 'api.twilio.com',
+          path: `/2010-04-01/Accounts/${sid}/Messages.json`,
+          auth: `${sid}:${authToken}`,
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Content-Length': Buffer.byteLength(form),
+          },
+        },
+        (res) => {
+          res.resume();
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve();
+          } else {
+            reject(new Error(`SMS provider responded with ${res.statusCode}`));
+          }
+        }
+      );
+      req.on('error', reject);
+      req.end(form);
+    });
+  },
+};
+
+const providers = {
+  console: consoleProvider,
+  file: fileProvider,
+  twilio: twilioProvider,
+};
+
+const smsProvider = providers[process.env.SMS_PROVIDER || 'console'];
+if (!smsProvider) {
+  throw new Error(`Unknown SMS_PROVIDER "${process.env.SMS_PROVIDER}"`);
+}
+
+module.exports = smsProvider;
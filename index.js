@@ -3,12 +3,16 @@ const http = require('http');
 const socketIo = require('socket.io');
 const WebSocket = require('ws');
 const bodyParser = require('body-parser');
-const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const cors = require('cors');
+const moment = require('moment');
 
 const { specs, swaggerUi } = require('./config/swagger');
 const db = require('./config/dbConnection');
+const smsProvider = require('./config/smsProvider');
+const mediaStorage = require('./config/mediaStorage');
+const paymentProvider = require('./config/paymentProvider');
+const createPaymentWebhook = require('./components/paymentWebhook');
 
 const app = express();
 const server = http.createServer(app);
@@ -20,17 +24,72 @@ const server = http.createServer(app);
 //   }
 // });`
 // Use the server option to use the same HTTP server for WebSocket
-const wss = new WebSocket.Server({ server, path: '/websocket' });
+const wss = new WebSocket.Server({
+  server,
+  path: '/websocket',
+  verifyClient: (info, done) => authenticateSocket(info.req, done),
+});
 
 const storage = multer.memoryStorage();
 const upload = multer({ storage: storage });
+// Per-type limits are checked by getAttachmentType; this only caps the buffer
+const attachmentUpload = multer({
+  storage: storage,
+  limits: { fileSize: 15 * 1024 * 1024, files: 1 },
+});
 
 // APP SETUP
 const port = process.env.PORT || 3000;
+const MESSAGES_PAGE_LIMIT = 50;
+const MESSAGES_PAGE_MAX = 100;
+const REPLY_SNIPPET_LENGTH = 100;
+const SEARCH_PAGE_LIMIT = 20;
+const SEARCH_PAGE_MAX = 50;
+const SEARCH_CONTEXT_MESSAGES = 2;
+const DISCOVERY_PAGE_LIMIT = 20;
+const DISCOVERY_PAGE_MAX = 50;
+const KM_PER_DEGREE = 111.045;
+const DISCOVERY_DEFAULT_RADIUS_KM = 1000;
+// Limits for users without a subscription
+const FREE_DISCOVERY_RADIUS_KM = parseInt(process.env.FREE_DISCOVERY_RADIUS_KM, 10) || 100;
+const FREE_DAILY_LIKES = parseInt(process.env.FREE_DAILY_LIKES, 10) || 20;
+// How often lapsed subscriptions are switched off
+const SUBSCRIPTION_CHECK_MINUTES =
+  parseInt(process.env.SUBSCRIPTION_CHECK_MINUTES, 10) || 60;
+// Skipped profiles show up in discovery again after this many days
+const SKIP_EXPIRY_DAYS = parseInt(process.env.SKIP_EXPIRY_DAYS, 10) || 30;
+const REPORTS_PAGE_LIMIT = 20;
+const REPORTS_PAGE_MAX = 100;
+// Distinct reporters needed before a profile or message is hidden pending review
+const REPORT_HIDE_THRESHOLD = parseInt(process.env.REPORT_HIDE_THRESHOLD, 10) || 3;
+const MESSAGE_EDIT_WINDOW_MINUTES =
+  parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES, 10) || 15;
+const OTP_TTL_SECONDS = parseInt(process.env.OTP_TTL_SECONDS, 10) || 300;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+const OTP_RESEND_SECONDS = parseInt(process.env.OTP_RESEND_SECONDS, 10) || 60;
 app.use(cors());
-app.use(express.json());
+// Keep the raw body around so webhook signatures can be checked
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
+if (mediaStorage.directory) {
+  app.use(
+    "/uploads",
+    express.static(mediaStorage.directory, {
+      // Never let a browser render an upload as a page on this origin
+      setHeaders: (res) => {
+        res.set("X-Content-Type-Options", "nosniff");
+        res.set("Content-Disposition", "attachment");
+      },
+    })
+  );
+}
 
 // Serve Swagger UI
 app.use(
@@ -86,62 +145,547 @@ app.use(
 //   });
 // });
 
-let webSockets = {};
+// Open sockets by user id. A user can be connected from several devices at
+// once; each socket remembers the session (`sid`) it was opened with.
+const webSockets = new Map();
 
-wss.on('connection', (ws, req) => {
-  const userID = req.url.split('/').pop();
-  webSockets[userID] = ws;
-  console.log(`User ${userID} connected`);
+const getSockets = (userID) => {
+  return Array.from(webSockets.get(String(userID)) || []);
+};
+
+// Close a user's sockets, or only those opened with one of `sids`
+const closeSockets = (userID, sids) => {
+  getSockets(userID).forEach((ws) => {
+    if (!sids || sids.includes(ws.sid)) {
+      ws.close();
+    }
+  });
+};
+
+// Shape a stored message row into the frame pushed to a socket
+const toSocketMessage = (row) => ({
+  cmd: "send",
+  id: row.id,
+  app_id: row.app_id,
+  from: row.from_user,
+  to: row.to_user,
+  group_id: row.group_id || null,
+  message: row.message,
+  message_type: row.message_type || "text",
+  attachment: row.attachment || null,
+  status: row.status,
+  delivered_at: row.delivered_at || null,
+  read_at: row.read_at || null,
+  edited: Boolean(row.edited),
+  edited_at: row.edited_at || null,
+  deleted: Boolean(row.deleted),
+  deleted_at: row.deleted_at || null,
+  reply_to: row.reply_to || null,
+  reply: row.reply || null,
+  reactions: row.reactions || [],
+  timestamp: row.timestamp,
+});
+
+// The quoted part of a message shown above a reply
+const toReplySnippet = (row) => ({
+  id: row.id,
+  from: row.from_user,
+  message: row.deleted || row.hidden ? "" : row.message.slice(0, REPLY_SNIPPET_LENGTH),
+  message_type: row.message_type || "text",
+  deleted: Boolean(row.deleted),
+  hidden: Boolean(row.hidden),
+});
+
+// Add reactions and quoted reply snippets to message rows
+const addMessageExtras = async (messages) => {
+  if (messages.length === 0) {
+    return messages;
+  }
+
+  const reactionRows = await queryDb(
+    "SELECT message_id, user_id, emoji FROM message_reactions WHERE message_id IN (?) ORDER BY created_at ASC",
+    [messages.map((row) => row.id)]
+  );
+  const replyIDs = [...new Set(messages.map((row) => row.reply_to).filter(Boolean))];
+  const replyRows = replyIDs.length
+    ? await queryDb("SELECT * FROM messages WHERE id IN (?)", [replyIDs])
+    : [];
+
+  return messages.map((row) => {
+    const reactions = [];
+    reactionRows
+      .filter((reaction) => reaction.message_id === row.id)
+      .forEach((reaction) => {
+        let entry = reactions.find((existing) => existing.emoji === reaction.emoji);
+        if (!entry) {
+          entry = { emoji: reaction.emoji, users: [] };
+          reactions.push(entry);
+        }
+        entry.users.push(reaction.user_id);
+      });
+    const replied = replyRows.find((reply) => reply.id === row.reply_to);
+
+    return {
+      ...row,
+      reply: replied ? toReplySnippet(replied) : null,
+      reactions,
+    };
+  });
+};
+
+// Send a frame to every socket a user has open
+const sendToUser = (userID, payload) => {
+  const frame = JSON.stringify(payload);
+  getSockets(userID).forEach((userWs) => {
+    userWs.send(frame);
+  });
+};
+
+// IDs of everyone in a group
+const getGroupMemberIDs = async (groupID) => {
+  const rows = await queryDb("SELECT user_id FROM group_members WHERE group_id = ?", [groupID]);
+  return rows.map((row) => row.user_id);
+};
+
+// The user's role in a group, or null when they are not a member
+const getGroupRole = async (groupID, userID) => {
+  const rows = await queryDb(
+    "SELECT role FROM group_members WHERE group_id = ? AND user_id = ?",
+    [groupID, userID]
+  );
+  return rows.length ? rows[0].role : null;
+};
+
+// Push a frame to both people in a chat, or every member of a group chat
+const sendToConversation = async (row, payload) => {
+  const recipients = row.group_id
+    ? await getGroupMemberIDs(row.group_id)
+    : [row.from_user, row.to_user];
+  recipients.forEach((recipientID) => sendToUser(recipientID, payload));
+};
+
+// Mark messages the recipient acked as delivered and tell each sender
+const markDelivered = (userID, ids, callback) => {
+  const deliveredAt = moment().format("YYYY-MM-DD HH:mm:ss");
+  const pendingQuery = `SELECT id, from_user FROM messages WHERE id IN (?) AND to_user = ? AND status = 'pending'`;
+  db.query(pendingQuery, [ids, userID], (err, rows) => {
+    if (err) {
+      return callback(err);
+    }
+    if (rows.length === 0) {
+      return callback(null);
+    }
+
+    const deliverQuery = `UPDATE messages SET status = 'delivered', delivered_at = ? WHERE id IN (?)`;
+    db.query(deliverQuery, [deliveredAt, rows.map((row) => row.id)], (err) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const idsBySender = {};
+      rows.forEach((row) => {
+        idsBySender[row.from_user] = (idsBySender[row.from_user] || []).concat(row.id);
+      });
+      Object.keys(idsBySender).forEach((senderID) => {
+        sendToUser(senderID, {
+          cmd: "receipt",
+          type: "delivered",
+          by: Number(userID),
+          ids: idsBySender[senderID],
+          at: deliveredAt,
+        });
+      });
+      callback(null);
+    });
+  });
+};
+
+// Mark everything the partner sent this user up to a message id as read
+const markRead = (userID, partnerID, upTo, callback) => {
+  const readAt = moment().format("YYYY-MM-DD HH:mm:ss");
+  const readQuery = `
+    UPDATE messages SET status = 'read', read_at = ?, delivered_at = COALESCE(delivered_at, ?)
+    WHERE from_user = ? AND to_user = ? AND id <= ? AND read_at IS NULL
+  `;
+  db.query(readQuery, [readAt, readAt, partnerID, userID, upTo], (err, result) => {
+    if (err) {
+      return callback(err);
+    }
+    if (result.affectedRows > 0) {
+      sendToUser(partnerID, {
+        cmd: "receipt",
+        type: "read",
+        by: Number(userID),
+        upTo: Number(upTo),
+        at: readAt,
+      });
+    }
+    callback(null, result.affectedRows);
+  });
+};
+
+// Move the user's read marker in a group forward and tell the other members
+const markGroupRead = async (userID, groupID, upTo) => {
+  const result = await queryDb(
+    `UPDATE group_members SET last_read_message_id = GREATEST(COALESCE(last_read_message_id, 0), ?)
+     WHERE group_id = ? AND user_id = ?`,
+    [upTo, groupID, userID]
+  );
+  if (result.affectedRows === 0) {
+    throw httpError(403, "You are not a member of this group");
+  }
+
+  const readAt = moment().format("YYYY-MM-DD HH:mm:ss");
+  const memberIDs = await getGroupMemberIDs(groupID);
+  memberIDs
+    .filter((memberID) => String(memberID) !== String(userID))
+    .forEach((memberID) => {
+      sendToUser(memberID, {
+        cmd: "receipt",
+        type: "read",
+        group_id: Number(groupID),
+        by: Number(userID),
+        upTo: Number(upTo),
+        at: readAt,
+      });
+    });
+};
+
+// Cursor pagination over messages matching `conditions`. With `after` it
+// pages forward from that message id, otherwise it pages back from `before`
+// (or from the newest message). Pages always come back oldest first.
+const fetchMessagesPage = async (conditions, params, { before, after, limit }) => {
+  const pageSize = Math.min(
+    parseInt(limit, 10) || MESSAGES_PAGE_LIMIT,
+    MESSAGES_PAGE_MAX
+  );
+  const afterID = parseInt(after, 10);
+  const beforeID = parseInt(before, 10);
+
+  let query = `SELECT * FROM messages WHERE (${conditions}) AND hidden = false`;
+  let queryParams = [...params];
+  if (afterID) {
+    query += " AND id > ? ORDER BY id ASC LIMIT ?";
+    queryParams.push(afterID, pageSize + 1);
+  } else {
+    if (beforeID) {
+      query += " AND id < ?";
+      queryParams.push(beforeID);
+    }
+    query += " ORDER BY id DESC LIMIT ?";
+    queryParams.push(pageSize + 1);
+  }
+
+  // One extra row tells us whether another page exists
+  const rows = await queryDb(query, queryParams);
+  const hasMore = rows.length > pageSize;
+  const messages = rows.slice(0, pageSize);
+  if (!afterID) {
+    messages.reverse();
+  }
+
+  return { messages: await addMessageExtras(messages), hasMore };
+};
 
-  // Load previous messages
-  const loadMessagesQuery = `
-    SELECT * FROM messages 
-    WHERE from_user = ? OR to_user = ?
-    ORDER BY timestamp ASC
+// IDs of everyone the user has an accepted request with
+const getFriendIDs = async (userID) => {
+  const friendsQuery = `
+    SELECT receiver_id AS id FROM request WHERE sender_id = ? AND status = 'accepted'
+    UNION
+    SELECT sender_id AS id FROM request WHERE receiver_id = ? AND status = 'accepted'
   `;
-  db.query(loadMessagesQuery, [userID, userID], (err, messages) => {
+  const rows = await queryDb(friendsQuery, [userID, userID]);
+  return rows.map((row) => row.id);
+};
+
+// Whether either user has blocked the other
+const isBlocked = async (userID, otherUserID) => {
+  const rows = await queryDb(
+    `SELECT 1 FROM blocks
+     WHERE (blocker_id = ? AND blocked_id = ?) OR (blocker_id = ? AND blocked_id = ?)
+     LIMIT 1`,
+    [userID, otherUserID, otherUserID, userID]
+  );
+  return rows.length > 0;
+};
+
+// Presence follows the socket: store it on the user and tell their friends
+const setPresence = (userID, onlineStatus) => {
+  const lastSeen = moment().format("YYYY-MM-DD HH:mm:ss");
+  const presenceQuery = `UPDATE users SET online_status = ?, last_seen = ? WHERE id = ?`;
+  db.query(presenceQuery, [onlineStatus, lastSeen, userID], (err) => {
     if (err) {
-      console.error('Error loading messages:', err);
+      console.error('Error updating presence:', err);
       return;
     }
-    ws.send(JSON.stringify({ type: 'previousMessages', messages }));
+    getFriendIDs(userID)
+      .then((friendIDs) => {
+        friendIDs.forEach((friendID) => {
+          sendToUser(friendID, {
+            cmd: "presence",
+            user: Number(userID),
+            online_status: onlineStatus,
+            last_seen: lastSeen,
+          });
+        });
+      })
+      .catch((err) => {
+        console.error('Error loading friends for presence:', err);
+      });
+  });
+};
+
+// No socket survives a restart, so nobody is online until they reconnect.
+// Runs before the server starts taking connections.
+const resetPresence = () => {
+  return queryDb("UPDATE users SET online_status = 'OFFLINE' WHERE online_status = 'ONLINE'")
+    .catch((err) => {
+      console.error('Error resetting presence:', err);
+    });
+};
+
+// Push every message still waiting for this user, oldest first
+const flushPendingMessages = (ws, userID) => {
+  const pendingQuery = `
+    SELECT * FROM messages
+    WHERE to_user = ? AND status = 'pending' AND hidden = false
+    ORDER BY timestamp ASC, id ASC
+  `;
+  queryDb(pendingQuery, [userID])
+    .then(addMessageExtras)
+    .then((messages) => {
+      messages.forEach((row) => {
+        ws.send(JSON.stringify(toSocketMessage(row)));
+      });
+    })
+    .catch((err) => {
+      console.error('Error loading pending messages:', err);
+    });
+};
+
+// Verify the handshake JWT the same way authenticateToken does and bind the
+// socket to the user the token was issued for
+const authenticateSocket = (req, done) => {
+  const token = extractToken(req);
+  if (token == null) {
+    return done(false, 401, "No token provided");
+  }
+
+  verifyToken(token, (err, user) => {
+    if (err || user.sid == null) {
+      return done(false, 403, "Invalid token");
+    }
+
+    db.query(
+      `SELECT s.id FROM sessions s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.id = ? AND s.user_id = ? AND s.revoked_at IS NULL AND u.status = ?`,
+      [user.sid, user.id, "ACTIVE"],
+      (err, result) => {
+        if (err) {
+          console.error('Error authenticating socket:', err);
+          return done(false, 500, "Internal Server Error");
+        }
+        if (result.length === 0) {
+          return done(false, 403, "Invalid token");
+        }
+        req.user = user;
+        done(true);
+      }
+    );
   });
+};
+
+wss.on('connection', (ws, req) => {
+  const userID = String(req.user.id);
+  const wasOnline = webSockets.has(userID);
+  // Remembered so revoking this session can close the socket
+  ws.sid = req.user.sid;
+  if (!wasOnline) {
+    webSockets.set(userID, new Set());
+  }
+  webSockets.get(userID).add(ws);
+  console.log(`User ${userID} connected`);
+  if (!wasOnline) {
+    setPresence(userID, "ONLINE");
+  }
+
+  // Send what the client missed since the last message id it has seen
+  // (`lastSeen` on the handshake URL); older history comes from
+  // /get-messages. Pending messages are flushed too, so clients should
+  // de-duplicate on message id. Group messages only arrive through sync.
+  const syncMessages = (after, limit) => {
+    const conditions = `(from_user = ? OR to_user = ?
+      OR group_id IN (SELECT group_id FROM group_members WHERE user_id = ?))`;
+    return fetchMessagesPage(conditions, [userID, userID, userID], { after, limit })
+      .then(({ messages, hasMore }) => {
+        ws.send(JSON.stringify({ type: 'sync', messages, hasMore }));
+      });
+  };
+
+  const lastSeen = new URL(req.url, "http://localhost").searchParams.get("lastSeen");
+  (lastSeen ? syncMessages(lastSeen) : Promise.resolve())
+    .catch((err) => {
+      console.error('Error syncing messages:', err);
+    })
+    .then(() => flushPendingMessages(ws, userID));
 
   ws.on('message', async (message) => {
+    // Nothing more is accepted once the socket is being closed, for
+    // example because its session was revoked
+    if (ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
     const datastring = message.toString();
     if (datastring.charAt(0) == "{") {
-      const data = JSON.parse(datastring.replace(/\'/g, '"'));
-      if (data.auth === "addauthkeyifrequired") {
-        if (data.cmd === "send") {
-          const receiverWs = webSockets[data.to];
-          if (receiverWs) {
-            const cdata = JSON.stringify({
-              cmd: data.cmd,
-              from: data.from,
-              to: data.to,
-              message: data.message,
-              timestamp: moment().format()
-            });
-            receiverWs.send(cdata);
-            ws.send(cdata);
-
-            // Save message to database
-            const query = 'INSERT INTO messages (app_id, from_user, to_user, message, timestamp) VALUES (?, ?, ?, ?, ?)';
-            db.query(query, [data.app_id, data.from, data.to, data.message, moment().format()], (err, results) => {
-              if (err) {
-                console.error('Error saving message:', err);
-              }
-            });
-          } else {
-            console.log("No receiver user found.");
+      let data;
+      try {
+        data = JSON.parse(datastring);
+      } catch (err) {
+        ws.send(JSON.stringify({ status: "error", message: "Invalid JSON" }));
+        return;
+      }
+      if (data.from != null && String(data.from) !== userID) {
+        console.log(`User ${userID} tried to send as ${data.from}`);
+        ws.send(JSON.stringify({ status: "error", message: "Sender mismatch" }));
+        return;
+      }
+      if (data.cmd === "send") {
+        if ((!data.to && !data.group_id) || (!data.message && !data.attachment_id)) {
+          ws.send(JSON.stringify({ status: "error" }));
+          return;
+        }
+        const options = {
+          attachmentID: data.attachment_id,
+          groupID: data.group_id,
+          replyTo: data.reply_to,
+        };
+        sendMessage(data.app_id, userID, data.to, data.message, options, (err, newMessage) => {
+          if (err) {
+            if (!err.status) {
+              console.error('Error saving message:', err);
+            }
+            ws.send(JSON.stringify({ status: "error", message: err.status ? err.message : undefined }));
+            return;
+          }
+          ws.send(JSON.stringify(newMessage));
+        });
+      } else if (data.cmd === "ack") {
+        // Recipient confirms it received these messages
+        const ids = [].concat(data.ids || data.id || []);
+        if (ids.length === 0) {
+          ws.send(JSON.stringify({ status: "error" }));
+          return;
+        }
+        markDelivered(userID, ids, (err) => {
+          if (err) {
+            console.error('Error acknowledging messages:', err);
             ws.send(JSON.stringify({ status: "error" }));
+            return;
           }
-        } else {
-          console.log("Invalid command");
+          ws.send(JSON.stringify({ cmd: "ack", ids, status: "ok" }));
+        });
+      } else if (data.cmd === "sync") {
+        // Keep paging forward while the last sync reported hasMore
+        if (!data.after) {
+          ws.send(JSON.stringify({ status: "error" }));
+          return;
+        }
+        syncMessages(data.after, data.limit).catch((err) => {
+          console.error('Error syncing messages:', err);
+          ws.send(JSON.stringify({ status: "error" }));
+        });
+      } else if (data.cmd === "edit" || data.cmd === "delete") {
+        // Both participants get the change pushed by editMessage/deleteMessage
+        if (!data.id || (data.cmd === "edit" && !data.message)) {
+          ws.send(JSON.stringify({ status: "error" }));
+          return;
+        }
+        const change = data.cmd === "edit"
+          ? editMessage(userID, data.id, data.message)
+          : deleteMessage(userID, data.id);
+        change.catch((err) => {
+          if (!err.status) {
+            console.error(`Error handling ${data.cmd}:`, err);
+          }
+          ws.send(JSON.stringify({ status: "error", message: err.status ? err.message : undefined }));
+        });
+      } else if (data.cmd === "react" || data.cmd === "unreact") {
+        if (!data.id || !data.emoji) {
+          ws.send(JSON.stringify({ status: "error" }));
+          return;
+        }
+        reactToMessage(userID, data.id, data.emoji, data.cmd === "react").catch((err) => {
+          if (!err.status) {
+            console.error(`Error handling ${data.cmd}:`, err);
+          }
+          ws.send(JSON.stringify({ status: "error", message: err.status ? err.message : undefined }));
+        });
+      } else if (data.cmd === "typing" || data.cmd === "stop_typing") {
+        // Relay typing state to the chat partner or group; nothing is stored
+        if (data.group_id) {
+          getGroupMemberIDs(data.group_id)
+            .then((memberIDs) => {
+              if (!memberIDs.map(String).includes(userID)) {
+                ws.send(JSON.stringify({ status: "error" }));
+                return;
+              }
+              memberIDs
+                .filter((memberID) => String(memberID) !== userID)
+                .forEach((memberID) => {
+                  sendToUser(memberID, { cmd: data.cmd, from: Number(userID), group_id: Number(data.group_id) });
+                });
+            })
+            .catch((err) => {
+              console.error('Error relaying typing state:', err);
+            });
+          return;
+        }
+        if (!data.to) {
           ws.send(JSON.stringify({ status: "error" }));
+          return;
         }
+        isBlocked(userID, data.to)
+          .then((blocked) => {
+            if (!blocked) {
+              sendToUser(data.to, { cmd: data.cmd, from: Number(userID) });
+            }
+          })
+          .catch((err) => {
+            console.error('Error relaying typing state:', err);
+          });
+      } else if (data.cmd === "read" && data.group_id) {
+        // Group reads move the member's read marker instead of per-message state
+        if (!data.upTo) {
+          ws.send(JSON.stringify({ status: "error" }));
+          return;
+        }
+        markGroupRead(userID, data.group_id, data.upTo)
+          .then(() => {
+            ws.send(JSON.stringify({ cmd: "read", group_id: data.group_id, upTo: data.upTo, status: "ok" }));
+          })
+          .catch((err) => {
+            if (!err.status) {
+              console.error('Error marking group read:', err);
+            }
+            ws.send(JSON.stringify({ status: "error", message: err.status ? err.message : undefined }));
+          });
+      } else if (data.cmd === "read") {
+        // Reader marks the conversation with `partner` read up to `upTo`
+        if (!data.partner || !data.upTo) {
+          ws.send(JSON.stringify({ status: "error" }));
+          return;
+        }
+        markRead(userID, data.partner, data.upTo, (err, count) => {
+          if (err) {
+            console.error('Error marking messages read:', err);
+            ws.send(JSON.stringify({ status: "error" }));
+            return;
+          }
+          ws.send(JSON.stringify({ cmd: "read", partner: data.partner, upTo: data.upTo, count, status: "ok" }));
+        });
       } else {
-        console.log("App Authentication error");
+        console.log("Invalid command");
         ws.send(JSON.stringify({ status: "error" }));
       }
     } else {
@@ -151,33 +695,255 @@ wss.on('connection', (ws, req) => {
   });
 
   ws.on('close', () => {
-    delete webSockets[userID];
+    // The user stays online while another of their sockets is open
+    const userSockets = webSockets.get(userID);
+    userSockets.delete(ws);
+    if (userSockets.size === 0) {
+      webSockets.delete(userID);
+      setPresence(userID, "OFFLINE");
+    }
     console.log(`User Disconnected: ${userID}`);
   });
 
   ws.send(JSON.stringify({ status: "connected" }));
 });
 
-const sendMessage = (app_id, from, to, message, callback) => {
-  const query =
-    "INSERT INTO messages (app_id, from_user, to_user, message) VALUES (?, ?, ?, ?)";
-  db.query(query, [app_id, from, to, message], (err, results) => {
-    if (err) {
-      callback(err, null);
-      return;
+// Look up an attachment the sender uploaded
+const loadAttachment = async (userID, attachmentID) => {
+  const rows = await queryDb(
+    "SELECT id, type, url, mime_type, size FROM attachments WHERE id = ? AND user_id = ?",
+    [attachmentID, userID]
+  );
+  if (rows.length === 0) {
+    throw httpError(404, "Attachment not found");
+  }
+  return rows[0];
+};
+
+// Messages are stored as pending and pushed to the recipient if they are
+// connected; they stay pending until the recipient acks them, so anything
+// unacknowledged is flushed again on the next connect.
+// options.attachmentID turns the message into an image/audio message, with
+// `message` as an optional caption. options.groupID sends to a group instead
+// of `to`; group messages are fanned out to every connected member and
+// offline members catch up through sync. options.replyTo quotes an earlier
+// message from the same conversation.
+const sendMessage = (app_id, from, to, message, options, callback) => {
+  const { attachmentID, groupID, replyTo } = options;
+
+  const store = async () => {
+    const attachment = attachmentID ? await loadAttachment(from, attachmentID) : null;
+    let recipientIDs = [to];
+    if (groupID) {
+      const memberIDs = await getGroupMemberIDs(groupID);
+      if (!memberIDs.map(String).includes(String(from))) {
+        throw httpError(403, "You are not a member of this group");
+      }
+      recipientIDs = memberIDs.filter((memberID) => String(memberID) !== String(from));
+    } else if (await isBlocked(from, to)) {
+      throw httpError(403, "You cannot message this user");
     }
 
-    const newMessage = { app_id, from, to, message };
-    io.emit("newMessage", newMessage);
-    callback(null, newMessage);
-  });
+    let reply = null;
+    if (replyTo) {
+      const original = await findVisibleMessage(from, replyTo);
+      const sameConversation = groupID
+        ? String(original.group_id) === String(groupID)
+        : !original.group_id && [original.from_user, original.to_user].map(String).includes(String(to));
+      if (!sameConversation) {
+        throw httpError(400, "You can only reply to a message in the same conversation");
+      }
+      reply = toReplySnippet(original);
+    }
+
+    const timestamp = moment().format("YYYY-MM-DD HH:mm:ss");
+    const messageType = attachment ? attachment.type : "text";
+    const query =
+      "INSERT INTO messages (app_id, from_user, to_user, group_id, message, message_type, attachment, reply_to, status, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)";
+    const queryParams = [
+      app_id,
+      from,
+      groupID ? null : to,
+      groupID || null,
+      message || "",
+      messageType,
+      attachment ? JSON.stringify(attachment) : null,
+      reply ? reply.id : null,
+      "pending",
+      timestamp,
+    ];
+    const results = await queryDb(query, queryParams);
+
+    const newMessage = toSocketMessage({
+      id: results.insertId,
+      app_id,
+      from_user: from,
+      to_user: groupID ? null : to,
+      group_id: groupID || null,
+      message: message || "",
+      message_type: messageType,
+      attachment,
+      reply_to: reply ? reply.id : null,
+      reply,
+      status: "pending",
+      timestamp,
+    });
+    recipientIDs.forEach((recipientID) => sendToUser(recipientID, newMessage));
+    return newMessage;
+  };
+
+  store().then(
+    (newMessage) => callback(null, newMessage),
+    (err) => callback(err, null)
+  );
+};
+
+// Load a message the user can see: they sent or received it, or are in its group
+const findVisibleMessage = async (userID, messageID) => {
+  const rows = await queryDb(
+    `SELECT * FROM messages WHERE id = ? AND (from_user = ? OR to_user = ?
+     OR group_id IN (SELECT group_id FROM group_members WHERE user_id = ?))`,
+    [messageID, userID, userID, userID]
+  );
+  if (rows.length === 0) {
+    throw httpError(404, "Message not found");
+  }
+  return rows[0];
+};
+
+// Add or remove the user's emoji reaction and push it to the conversation
+const reactToMessage = async (userID, messageID, emoji, add) => {
+  if (!isEmoji(emoji)) {
+    throw httpError(400, "Reaction must be a single emoji");
+  }
+  const row = await findVisibleMessage(userID, messageID);
+  if (row.deleted) {
+    throw httpError(410, "Message has been deleted");
+  }
+
+  if (add) {
+    await queryDb(
+      "INSERT IGNORE INTO message_reactions (message_id, user_id, emoji) VALUES (?, ?, ?)",
+      [row.id, userID, emoji]
+    );
+  } else {
+    await queryDb(
+      "DELETE FROM message_reactions WHERE message_id = ? AND user_id = ? AND emoji = ?",
+      [row.id, userID, emoji]
+    );
+  }
+
+  const event = {
+    cmd: "reaction",
+    action: add ? "added" : "removed",
+    message_id: row.id,
+    group_id: row.group_id || null,
+    user: Number(userID),
+    emoji,
+  };
+  await sendToConversation(row, event);
+  return event;
+};
+
+// Load a message the user sent, still inside the edit/delete window
+const findOwnRecentMessage = async (userID, messageID) => {
+  const rows = await queryDb("SELECT * FROM messages WHERE id = ?", [messageID]);
+  if (rows.length === 0) {
+    throw httpError(404, "Message not found");
+  }
+
+  const row = rows[0];
+  if (String(row.from_user) !== String(userID)) {
+    throw httpError(403, "Only the sender can change this message");
+  }
+  if (row.deleted) {
+    throw httpError(410, "Message has been deleted");
+  }
+  if (moment().diff(moment(row.timestamp), "minutes", true) > MESSAGE_EDIT_WINDOW_MINUTES) {
+    throw httpError(403, `Messages can only be changed within ${MESSAGE_EDIT_WINDOW_MINUTES} minutes of sending`);
+  }
+  return row;
+};
+
+// Replace the text of a message, keeping the old text in message_edits, and
+// push the new version to everyone in the conversation
+const editMessage = async (userID, messageID, text) => {
+  const row = await findOwnRecentMessage(userID, messageID);
+  const editedAt = moment().format("YYYY-MM-DD HH:mm:ss");
+
+  await queryDb(
+    "INSERT INTO message_edits (message_id, previous_message, edited_at) VALUES (?, ?, ?)",
+    [row.id, row.message, editedAt]
+  );
+  await queryDb(
+    "UPDATE messages SET message = ?, edited = true, edited_at = ? WHERE id = ?",
+    [text, editedAt, row.id]
+  );
+
+  const edited = {
+    ...toSocketMessage({ ...row, message: text, edited: true, edited_at: editedAt }),
+    cmd: "edited",
+  };
+  await sendToConversation(row, edited);
+  return edited;
+};
+
+// Delete for everyone: the text and its edit history are wiped and only the
+// deleted flag is left behind
+const deleteMessage = async (userID, messageID) => {
+  const row = await findOwnRecentMessage(userID, messageID);
+  return wipeMessage(row);
+};
+
+// Remove a message's text, attachment and edit history, keeping a "deleted" placeholder
+const wipeMessage = async (row) => {
+  const deletedAt = moment().format("YYYY-MM-DD HH:mm:ss");
+
+  await queryDb("DELETE FROM message_edits WHERE message_id = ?", [row.id]);
+  await queryDb(
+    "UPDATE messages SET message = '', attachment = NULL, message_type = 'text', deleted = true, deleted_at = ? WHERE id = ?",
+    [deletedAt, row.id]
+  );
+
+  const deleted = {
+    cmd: "deleted",
+    id: row.id,
+    from: row.from_user,
+    to: row.to_user,
+    group_id: row.group_id || null,
+    deleted_at: deletedAt,
+  };
+  await sendToConversation(row, deleted);
+  return deleted;
 };
 // Helper functions
 const {
   calculateDistance,
+  parseInterests,
+  ageFromDob,
+  compatibilityScoreSql,
+  sharedInterests,
   uploadToCloudinary,
   validateSignup,
   authenticateToken,
+  authorizeUser,
+  requireAdmin,
+  extractToken,
+  verifyToken,
+  queryDb,
+  createSession,
+  refreshSession,
+  generateOtp,
+  hashOtp,
+  otpMatches,
+  createSignupToken,
+  verifySignupToken,
+  httpError,
+  hasActiveSubscription,
+  paymentRequired,
+  requireEntitlement,
+  getAttachmentType,
+  isEmoji,
 } = require("./utils");
 const { machine } = require("os");
 
@@ -208,12 +974,24 @@ const { machine } = require("os");
  *                 example: "2"
  *               to:
  *                 type: string
- *                 description: The ID of the user receiving the message.
+ *                 description: The ID of the user receiving the message. Not needed when group_id is set.
  *                 example: "4"
+ *               group_id:
+ *                 type: integer
+ *                 description: Send to this group instead of a single user. The sender must be a member.
+ *                 example: 3
+ *               reply_to:
+ *                 type: integer
+ *                 description: ID of an earlier message in the same conversation to reply to. Its snippet is returned as reply.
+ *                 example: 120
  *               message:
  *                 type: string
- *                 description: The content of the message.
+ *                 description: The content of the message. Optional caption when attachment_id is set.
  *                 example: "Hello, how are you?"
+ *               attachment_id:
+ *                 type: integer
+ *                 description: ID returned by /upload-attachment to send a photo or voice note.
+ *                 example: 12
  *     responses:
  *       200:
  *         description: Message sent successfully
@@ -241,6 +1019,10 @@ const { machine } = require("os");
  *                 error:
  *                   type: string
  *                   example: "All fields are required"
+ *       403:
+ *         description: The sender is not a member of the group
+ *       404:
+ *         description: The attachment does not exist or was uploaded by someone else
  *       500:
  *         description: Internal server error
  *         content:
@@ -254,592 +1036,477 @@ const { machine } = require("os");
  */
 
 // POST API endpoint
-app.post("/send-message", upload.none(), authenticateToken, (req, res) => {
-  const { app_id, from, to, message } = req.body;
-
-  if (!app_id || !from || !to || !message) {
-    return res.status(400).json({ error: "All fields are required" });
-  }
+app.post(
+  "/send-message",
+  upload.none(),
+  authenticateToken,
+  authorizeUser("body", "from"),
+  (req, res) => {
+    const { app_id, from, to, group_id, message, attachment_id, reply_to } =
+      req.body;
 
-  sendMessage(app_id, from, to, message, (err, newMessage) => {
-    if (err) {
-      return res.status(500).json({ error: "Error sending message" });
+    if (!app_id || !from || (!to && !group_id) || (!message && !attachment_id)) {
+      return res.status(400).json({ error: "All fields are required" });
     }
-    res.status(200).json({
-      status: "true",
-      message: "Message Sent Successfully",
-      newMessage,
-    });
-  });
-});
 
-// All Implemented APIs
+    const options = {
+      attachmentID: attachment_id,
+      groupID: group_id,
+      replyTo: reply_to,
+    };
+    sendMessage(app_id, from, to, message, options, (err, newMessage) => {
+      if (err) {
+        if (err.status) {
+          return res.status(err.status).json({ error: err.message });
+        }
+        return res.status(500).json({ error: "Error sending message" });
+      }
+      res.status(200).json({
+        status: "true",
+        message: "Message Sent Successfully",
+        newMessage,
+      });
+    });
+  }
+);
 
-// GET APIs
 /**
  * @swagger
- * /get-messages:
- *   get:
- *     summary: Get messages between two users
+ * /upload-attachment:
+ *   post:
+ *     summary: Upload a photo or voice note for chat
+ *     description: Stores the file and returns an attachment ID to pass as attachment_id to /send-message or the socket send command. Images (JPEG, PNG, WebP, GIF) can be up to 10 MB and audio (MP3, M4A, AAC, OGG, WebM, WAV) up to 15 MB.
  *     tags: [Messages]
- *     parameters:
- *       - in: query
- *         name: app_id
- *         schema:
- *           type: string
- *         required: true
- *         description: The application ID
- *       - in: query
- *         name: user1
- *         schema:
- *           type: string
- *         required: true
- *         description: The first user ID
- *       - in: query
- *         name: user2
- *         schema:
- *           type: string
- *         required: true
- *         description: The second user ID
- *     responses:
- *       200:
- *         description: A list of messages
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Attachment uploaded
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 attachment:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     type:
+ *                       type: string
+ *                       enum: [image, audio]
+ *                     url:
+ *                       type: string
+ *                     mime_type:
+ *                       type: string
+ *                     size:
+ *                       type: integer
+ *       400:
+ *         description: No file was sent
+ *       413:
+ *         description: File is too large
+ *       415:
+ *         description: Unsupported file type
+ *       500:
+ *         description: Internal server error
  */
-app.get("/get-messages", authenticateToken, (req, res) => {
-  const { app_id, user1, user2 } = req.query;
-  const query = `
-    SELECT * FROM messages 
-    WHERE app_id = ? AND 
-    ((from_user = ? AND to_user = ?) OR (from_user = ? AND to_user = ?))
-    ORDER BY timestamp ASC
-  `;
-
-  db.query(query, [app_id, user1, user2, user2, user1], (err, results) => {
-    if (err) {
-      return res.status(500).send("Error retrieving messages");
-    }
-    res.json(results);
-  });
-});
-
-app.get("/getUserMessages", authenticateToken, async (req, res) => {
-  try {
-    const { userID, chatterID } = req.query;
-    let query = `SELECT * FROM messages WHERE (from_user = ? AND to_user = ?) OR (from_user = ? AND to_user = ?) WHERE app_id = ?`;
-    let queryParams = [userID, chatterID, chatterID, userID, 1];
-    db.query(query, queryParams, (err, result) => {
+app.post(
+  "/upload-attachment",
+  authenticateToken,
+  (req, res, next) => {
+    attachmentUpload.single("file")(req, res, (err) => {
       if (err) {
-        return res.status(500).json({
-          status: false,
-          message: "Could Not get Messages",
-          error: err.message,
-        });
+        const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+        return res.status(status).json({ status: false, message: err.message });
       }
-      let retMessages = result.map((msg) => {
-        return msg;
+      next();
+    });
+  },
+  async (req, res) => {
+    if (!req.file) {
+      return res
+        .status(400)
+        .json({ status: false, message: "File is required" });
+    }
+
+    try {
+      const type = getAttachmentType(req.file);
+      const url = await mediaStorage.save(req.file, `chat_${type}s`);
+      const attachment = {
+        type,
+        url,
+        mime_type: req.file.mimetype,
+        size: req.file.size,
+      };
+
+      const result = await queryDb("INSERT INTO attachments SET ?", {
+        user_id: req.user.id,
+        ...attachment,
       });
-      res.status(200).json({
+
+      res.status(201).json({
         status: true,
-        message: "Chat fetched successfully",
-        retMessages,
+        attachment: { id: result.insertId, ...attachment },
       });
-    });
-  } catch (error) {
-    res
-      .status(500)
-      .json({ status: false, message: "the API FAILED", error: error.message });
+    } catch (err) {
+      if (!err.status) {
+        console.error("Error uploading attachment:", err);
+      }
+      res.status(err.status || 500).json({ status: false, message: err.message });
+    }
   }
-});
+);
 
 /**
  * @swagger
- * /get-recentMessages:
- *   get:
- *     summary: Get recent messages
- *     description: Retrieve the most recent messages sent and received by a user within a specific application.
- *     tags:
- *       - Messages
+ * /edit-message/{id}:
+ *   put:
+ *     summary: Edit a sent message
+ *     description: Replaces the text of a message. Only the sender can edit, and only within the edit window (15 minutes by default). The previous text is kept in the edit history and both participants get an "edited" event over the WebSocket.
+ *     tags: [Messages]
  *     parameters:
- *       - in: query
- *         name: app_id
- *         schema:
- *           type: string
- *         required: true
- *         description: The ID of the application.
- *         example: "1"
- *       - in: query
- *         name: user_id
+ *       - in: path
+ *         name: id
  *         schema:
- *           type: string
+ *           type: integer
  *         required: true
- *         description: The ID of the user.
- *         example: "2"
+ *         description: The message ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 example: "Hello, how are you doing?"
  *     responses:
  *       200:
- *         description: Recent messages retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   from_user:
- *                     type: string
- *                     description: The ID of the user who sent the message.
- *                     example: "3"
- *                   to_user:
- *                     type: string
- *                     description: The ID of the user who received the message.
- *                     example: "2"
- *                   message:
- *                     type: string
- *                     description: The content of the message.
- *                     example: "Hello, how are you?"
- *                   timestamp:
- *                     type: string
- *                     format: date-time
- *                     description: The timestamp when the message was sent.
- *                     example: "2024-07-10T05:32:44.000Z"
- *       400:
- *         description: Bad request, missing required parameters
+ *         description: Message edited
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 error:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
  *                   type: string
- *                   example: "All fields are required"
+ *                   example: Message edited successfully
+ *                 editedMessage:
+ *                   type: object
+ *       400:
+ *         description: Message text is missing
+ *       403:
+ *         description: Not the sender, or the edit window has passed
+ *       404:
+ *         description: Message not found
+ *       410:
+ *         description: Message has been deleted
  *       500:
  *         description: Internal server error
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Error retrieving messages"
  */
-const queryDb = (query, params) => {
-  return new Promise((resolve, reject) => {
-    db.query(query, params, (err, results) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve(results);
-      }
-    });
-  });
-};
-
-app.get("/get-recentMessages", authenticateToken, async (req, res) => {
-  const { app_id, user_id } = req.query;
-
-  const query = `
-    SELECT from_user, to_user, message, timestamp
-    FROM (
-      SELECT 
-        m.from_user, m.to_user, m.message, m.timestamp,
-        ROW_NUMBER() OVER (PARTITION BY LEAST(m.from_user, m.to_user), GREATEST(m.from_user, m.to_user) ORDER BY m.timestamp DESC) AS rn
-      FROM messages m
-      WHERE m.app_id = ? AND (m.from_user = ? OR m.to_user = ?)
-    ) AS recent_messages
-    WHERE rn = 1
-    ORDER BY timestamp DESC;
-  `;
+app.put(
+  "/edit-message/:id",
+  upload.none(),
+  authenticateToken,
+  async (req, res) => {
+    const { message } = req.body;
 
-  try {
-    const messages = await queryDb(query, [app_id, user_id, user_id]);
+    if (!message) {
+      return res
+        .status(400)
+        .json({ status: false, message: "Message is required" });
+    }
 
-    const userPromises = messages.map(async (message) => {
-      const userQuery = `SELECT * FROM users WHERE id = ?`;
-      if (user_id == message.from_user) {
-        const user = await queryDb(userQuery, [message.to_user]);
-        return {
-          ...message,
-          user: user[0],
-        };
-      } else {
-        const user = await queryDb(userQuery, [message.from_user]);
-        return {
-          ...message,
-          user: user[0],
-        };
+    try {
+      const editedMessage = await editMessage(req.user.id, req.params.id, message);
+      res.status(200).json({
+        status: true,
+        message: "Message edited successfully",
+        editedMessage,
+      });
+    } catch (err) {
+      if (!err.status) {
+        console.error("Error editing message:", err);
       }
-    });
-
-    const messagesWithUsers = await Promise.all(userPromises);
-
-    res.status(200).json(messagesWithUsers);
-  } catch (err) {
-    console.error("Error retrieving messages:", err);
-    res.status(500).send("Error retrieving messages");
+      res.status(err.status || 500).json({ status: false, message: err.message });
+    }
   }
-});
+);
 
 /**
  * @swagger
- * /users:
- *   get:
- *     summary: Get all users
- *     tags: [Users]
+ * /delete-message/{id}:
+ *   delete:
+ *     summary: Delete a message for everyone
+ *     description: Removes the text and edit history of a message, leaving a deleted placeholder. Only the sender can delete, and only within the edit window. Both participants get a "deleted" event over the WebSocket.
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The message ID
  *     responses:
  *       200:
- *         description: A list of users
+ *         description: Message deleted
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Message deleted successfully
+ *       403:
+ *         description: Not the sender, or the delete window has passed
+ *       404:
+ *         description: Message not found
+ *       410:
+ *         description: Message was already deleted
+ *       500:
+ *         description: Internal server error
  */
-app.get("/users", authenticateToken, (req, res) => {
-  const query = "SELECT * FROM users WHERE status = ?";
-  const queryParams = ["ACTIVE"];
-
-  db.query(query, queryParams, (err, result) => {
-    if (err) {
-      return res
-        .status(500)
-        .json({ status: false, message: err.message, users: null });
-    }
-
-    let users = result.map((user) => {
-      user.longitude = parseFloat(user.longitude);
-      user.latitude = parseFloat(user.latitude);
-
-      return user;
-    });
-
+app.delete("/delete-message/:id", authenticateToken, async (req, res) => {
+  try {
+    await deleteMessage(req.user.id, req.params.id);
     res
       .status(200)
-      .json({ status: true, message: "Users fetched successfully", users });
-  });
+      .json({ status: true, message: "Message deleted successfully" });
+  } catch (err) {
+    if (!err.status) {
+      console.error("Error deleting message:", err);
+    }
+    res.status(err.status || 500).json({ status: false, message: err.message });
+  }
 });
 
-// Getting User by ID API
 /**
  * @swagger
- * /users/id/{id}:
+ * /get-messageEdits/{id}:
  *   get:
- *     summary: Get user by ID
- *     tags: [Users]
+ *     summary: Get the edit history of a message
+ *     description: Previous versions of a message, oldest first. Only the people in the conversation can see them.
+ *     tags: [Messages]
  *     parameters:
  *       - in: path
  *         name: id
  *         schema:
  *           type: integer
  *         required: true
- *         description: The user ID
+ *         description: The message ID
  *     responses:
  *       200:
- *         description: A single user
+ *         description: Edit history
  *         content:
  *           application/json:
  *             schema:
  *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 edits:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       previous_message:
+ *                         type: string
+ *                       edited_at:
+ *                         type: string
+ *                         format: date-time
+ *       404:
+ *         description: Message not found
+ *       500:
+ *         description: Internal server error
  */
-app.get("/users/id/:id", authenticateToken, (req, res) => {
-  const { id } = req.params;
-
-  db.query("SELECT * FROM users WHERE id = ?", [id], (err, result) => {
-    if (err) {
-      return res
-        .status(500)
-        .json({ status: false, message: err.message, user: null });
+app.get("/get-messageEdits/:id", authenticateToken, async (req, res) => {
+  try {
+    const row = await findVisibleMessage(req.user.id, req.params.id);
+    const edits = await queryDb(
+      "SELECT previous_message, edited_at FROM message_edits WHERE message_id = ? ORDER BY id ASC",
+      [row.id]
+    );
+    res.status(200).json({ status: true, edits });
+  } catch (err) {
+    if (!err.status) {
+      console.error("Error retrieving message edits:", err);
     }
-    if (result.length === 0) {
-      return res
-        .status(404)
-        .json({ status: false, message: "User not found", user: null });
-    }
-
-    const user = result[0];
-
-    res
-      .status(200)
-      .json({ status: true, message: "User fetched successfully", user });
-  });
+    res.status(err.status || 500).json({ status: false, message: err.message });
+  }
 });
 
 /**
  * @swagger
- * /users/exists/{contact}:
- *   get:
- *     summary: Check if user exists by contact
- *     tags: [Users]
+ * /react-message/{id}:
+ *   post:
+ *     summary: React to a message with an emoji
+ *     description: Anyone in the conversation can react. Adding the same emoji twice has no effect. Everyone in the conversation gets a "reaction" event over the WebSocket.
+ *     tags: [Messages]
  *     parameters:
  *       - in: path
- *         name: contact
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The message ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               emoji:
+ *                 type: string
+ *                 example: "👍"
+ *     responses:
+ *       200:
+ *         description: Reaction added
+ *       400:
+ *         description: Not a single emoji
+ *       404:
+ *         description: Message not found
+ *       410:
+ *         description: Message has been deleted
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Remove an emoji reaction from a message
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The message ID
+ *       - in: query
+ *         name: emoji
  *         schema:
  *           type: string
  *         required: true
- *         description: The user contact
+ *         description: The emoji to remove
  *     responses:
  *       200:
- *         description: User exists
- *         content:
- *           application/json:
- *             schema:
- *               type: object
+ *         description: Reaction removed
+ *       400:
+ *         description: Not a single emoji
+ *       404:
+ *         description: Message not found
+ *       500:
+ *         description: Internal server error
  */
-app.get("/users/exists/:contact", (req, res) => {
-  const { contact } = req.params;
-
-  db.query(
-    "SELECT * FROM users WHERE contact = ? AND status = ?",
-    [contact, "ACTIVE"],
-    (err, result) => {
-      if (err) {
-        return res.status(500).json({ status: false, message: err.message });
-      }
-      if (result.length === 0) {
-        return res
-          .status(404)
-          .json({ status: false, message: "User does not exist", user: null });
-      }
-
-      let user = result[0];
-
-      const token = jwt.sign(
-        { contact: user.contact },
-        process.env.JWT_SECRET_KEY
+app.post(
+  "/react-message/:id",
+  upload.none(),
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const reaction = await reactToMessage(
+        req.user.id,
+        req.params.id,
+        req.body.emoji,
+        true
       );
-
-      user.longitude = parseFloat(user.longitude);
-      user.latitude = parseFloat(user.latitude);
-
       res
         .status(200)
-        .json({ status: true, message: "User exists", user, token });
+        .json({ status: true, message: "Reaction added successfully", reaction });
+    } catch (err) {
+      if (!err.status) {
+        console.error("Error adding reaction:", err);
+      }
+      res.status(err.status || 500).json({ status: false, message: err.message });
     }
-  );
-});
+  }
+);
 
-/**
- * @swagger
- * /:
- *   get:
- *     summary: Default API
- *     tags: [Default]
- *     responses:
- *       200:
- *         description: A welcome message
- *         content:
- *           text/plain:
- *             schema:
- *               type: string
- */
-app.get("/", (req, res) => {
-  res.send("Hello, world!");
+app.delete("/react-message/:id", authenticateToken, async (req, res) => {
+  try {
+    const reaction = await reactToMessage(
+      req.user.id,
+      req.params.id,
+      req.query.emoji,
+      false
+    );
+    res
+      .status(200)
+      .json({ status: true, message: "Reaction removed successfully", reaction });
+  } catch (err) {
+    if (!err.status) {
+      console.error("Error removing reaction:", err);
+    }
+    res.status(err.status || 500).json({ status: false, message: err.message });
+  }
 });
 
+// All Implemented APIs
+
+// GET APIs
 /**
  * @swagger
- * /users/getUsers:
+ * /get-messages:
  *   get:
- *     summary: Get users based on filters
- *     tags: [Users]
+ *     summary: Get messages between two users
+ *     tags: [Messages]
  *     parameters:
  *       - in: query
- *         name: id
+ *         name: app_id
  *         schema:
- *           type: integer
+ *           type: string
  *         required: true
- *         description: ID of the user making the request
- *       - in: query
- *         name: longitude
- *         schema:
- *           type: number
- *         description: Longitude of the user's location
+ *         description: The application ID
  *       - in: query
- *         name: latitude
+ *         name: user1
  *         schema:
- *           type: number
- *         description: Latitude of the user's location
+ *           type: string
+ *         required: true
+ *         description: The first user ID
  *       - in: query
- *         name: gender
+ *         name: user2
  *         schema:
  *           type: string
- *         description: Gender filter, can be multiple values separated by commas
+ *         required: true
+ *         description: The second user ID
  *       - in: query
- *         name: ageRange
+ *         name: before
  *         schema:
- *           type: string
- *         description: Age range filter in the format minAge-maxAge
+ *           type: integer
+ *         description: Return messages older than this message ID. Used to scroll back through history.
  *       - in: query
- *         name: interests
+ *         name: after
  *         schema:
- *           type: string
- *         description: Interests filter, can be multiple values separated by commas
+ *           type: integer
+ *         description: Return messages newer than this message ID. Takes precedence over before.
  *       - in: query
- *         name: radRange
+ *         name: limit
  *         schema:
- *           type: string
- *         description: Radius range filter in the format minRange-maxRange
- *     responses:
- *       200:
- *         description: List of users matching the filters
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                   full_name:
- *                     type: string
- *                   contact:
- *                     type: string
- *                   gender:
- *                     type: string
- *                   bio:
- *                     type: string
- *                   date_of_birth:
- *                     type: string
- *                   interests:
- *                     type: string
- *                   latitude:
- *                     type: number
- *                   longitude:
- *                     type: number
- *                   education:
- *                     type: string
- *                   profile_pic_url:
- *                     type: string
- *                   avatar_url:
- *                     type: string
- *                   profile_images:
- *                     type: string
- *       400:
- *         description: Bad request
- *       500:
- *         description: Internal server error
- */
-//searching based on filter, filters to be passed as parameters //Mat
-app.get("/users/getUsers", authenticateToken, async (req, res) => {
-  const { id, latitude, longitude, gender, ageRange, interests, radRange } =
-    req.query;
-
-  // Start with a base query
-  let query = `
-    SELECT * FROM users 
-    WHERE id != ? 
-    AND id NOT IN (
-      SELECT receiver_id FROM request WHERE sender_id = ? AND status = 'accepted'
-      UNION
-      SELECT sender_id FROM request WHERE receiver_id = ? AND status = 'accepted'
-      UNION
-      SELECT receiver_id FROM request WHERE sender_id = ? AND status = 'rejected'
-      UNION
-      SELECT sender_id FROM request WHERE receiver_id = ? AND status = 'rejected'
-      UNION
-      SELECT skipped_user_id FROM skip WHERE user_id = ?
-    )
-  `;
-  let queryParams = [id, id, id, id, id, id, id];
-
-  // Handle gender filter
-  if (gender) {
-    console.log("Gender was passed");
-    const genderArr = gender.split(",");
-    query += " AND (" + genderArr.map(() => "gender LIKE ?").join(" OR ") + ")";
-    queryParams = queryParams.concat(genderArr.map((g) => `%${g}%`));
-  }
-
-  // Handle age range filter
-  if (ageRange) {
-    const [minAge, maxAge] = ageRange.split("-").map(Number);
-    const minDob = new Date(
-      new Date().setFullYear(new Date().getFullYear() - maxAge)
-    );
-    const maxDob = new Date(
-      new Date().setFullYear(new Date().getFullYear() - minAge)
-    );
-    query += " AND date_of_birth BETWEEN ? AND ?";
-    queryParams.push(
-      minDob.toISOString().split("T")[0],
-      maxDob.toISOString().split("T")[0]
-    );
-  }
-
-  // Handle interests filter
-  if (interests) {
-    const interestsArray = interests.split(",");
-    query +=
-      " AND (" + interestsArray.map(() => "likes LIKE ?").join(" OR ") + ")";
-    queryParams = queryParams.concat(
-      interestsArray.map((interest) => `%${interest}%`)
-    );
-  }
-
-  // Execute the query
-  console.log(query);
-
-  db.query(query, queryParams, (err, rows) => {
-    if (err) {
-      return res.status(500).send(err.message);
-    }
-
-    // If latitude, longitude, and radRange are provided, filter by distance range
-    if (latitude && longitude) {
-      const lat = parseFloat(latitude);
-      const lon = parseFloat(longitude);
-
-      if (radRange) {
-        const [minRange, maxRange] = radRange.split("-").map(parseFloat);
-        rows = rows.filter((user) => {
-          const distance = calculateDistance(
-            lat,
-            lon,
-            user.latitude,
-            user.longitude
-          );
-          return distance >= minRange && distance <= maxRange;
-        });
-      } else {
-        let minRange = 0;
-        let maxRange = 1000;
-
-        rows = rows.filter((user) => {
-          const distance = calculateDistance(
-            lat,
-            lon,
-            user.latitude,
-            user.longitude
-          );
-          console.log(distance);
-          return distance >= minRange && distance <= maxRange;
-        });
-      }
-    }
-
-    res.status(200).json(rows);
-  });
-});
-
-// app.post(req, res);
-
-/**
- * @swagger
- * /users/allRequests:
- *   get:
- *     summary: Get all requests
- *     tags: [Requests]
- *     description: Retrieve all requests from the database.
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *         description: Page size
  *     responses:
  *       200:
- *         description: A list of requests fetched successfully.
+ *         description: A page of messages, oldest first. Without a cursor the newest page is returned.
  *         content:
  *           application/json:
  *             schema:
@@ -847,148 +1514,326 @@ app.get("/users/getUsers", authenticateToken, async (req, res) => {
  *               properties:
  *                 status:
  *                   type: boolean
- *                   description: Indicates if the request was successful.
- *                 message:
- *                   type: string
- *                   description: Message related to the status of the request.
- *                 requests:
+ *                   example: true
+ *                 hasMore:
+ *                   type: boolean
+ *                   description: Whether another page exists in the direction being paged
+ *                 before:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Cursor for the previous (older) page
+ *                 after:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Cursor for the next (newer) page
+ *                 messages:
  *                   type: array
  *                   items:
  *                     type: object
  *                     properties:
  *                       id:
  *                         type: integer
- *                         description: The ID of the request.
- *                       senderID:
+ *                       from_user:
+ *                         type: integer
+ *                       to_user:
+ *                         type: integer
+ *                       message:
  *                         type: string
- *                         description: The ID of the sender.
- *                       receiverID:
+ *                       status:
  *                         type: string
- *                         description: The ID of the receiver.
- *                       createdAt:
+ *                         enum: [pending, delivered, read]
+ *                       delivered_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       read_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       reply_to:
+ *                         type: integer
+ *                         nullable: true
+ *                       reply:
+ *                         type: object
+ *                         nullable: true
+ *                         description: Snippet of the message this one replies to. Its text is empty when that message was deleted or hidden by moderation.
+ *                       reactions:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             emoji:
+ *                               type: string
+ *                             users:
+ *                               type: array
+ *                               items:
+ *                                 type: integer
+ *                       timestamp:
  *                         type: string
  *                         format: date-time
- *                         description: The timestamp when the request was created.
- *     security:
- *       - apiKeyAuth: []
  */
+app.get(
+  "/get-messages",
+  authenticateToken,
+  authorizeUser("query", "user1"),
+  async (req, res) => {
+    const { app_id, user1, user2, before, after, limit } = req.query;
+    const conditions = `app_id = ? AND
+      ((from_user = ? AND to_user = ?) OR (from_user = ? AND to_user = ?))`;
 
-//This is the get all Requests API
-app.get("/users/allRequests", authenticateToken, async (req, res) => {
-  db.query("SELECT * FROM request", (err, result) => {
-    if (err) {
-      return res
-        .status(500)
-        .json({ status: false, message: err.message, requests: null });
-    }
+    try {
+      const { messages, hasMore } = await fetchMessagesPage(
+        conditions,
+        [app_id, user1, user2, user2, user1],
+        { before, after, limit }
+      );
 
-    let requests = result.map((myRequest) => {
-      return myRequest;
-    });
+      res.status(200).json({
+        status: true,
+        hasMore,
+        before: messages.length ? messages[0].id : null,
+        after: messages.length ? messages[messages.length - 1].id : null,
+        messages,
+      });
+    } catch (err) {
+      console.error("Error retrieving messages:", err);
+      res.status(500).send("Error retrieving messages");
+    }
+  }
+);
 
-    res.status(200).json({
-      status: true,
-      message: "Requests fetched successfully",
-      requests,
-    });
-  });
-});
+app.get(
+  "/getUserMessages",
+  authenticateToken,
+  authorizeUser("query", "userID"),
+  async (req, res) => {
+    try {
+      const { userID, chatterID } = req.query;
+      let query = `SELECT * FROM messages WHERE (from_user = ? AND to_user = ?) OR (from_user = ? AND to_user = ?) WHERE app_id = ?`;
+      let queryParams = [userID, chatterID, chatterID, userID, 1];
+      db.query(query, queryParams, (err, result) => {
+        if (err) {
+          return res.status(500).json({
+            status: false,
+            message: "Could Not get Messages",
+            error: err.message,
+          });
+        }
+        let retMessages = result.map((msg) => {
+          return msg;
+        });
+        res.status(200).json({
+          status: true,
+          message: "Chat fetched successfully",
+          retMessages,
+        });
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ status: false, message: "the API FAILED", error: error.message });
+    }
+  }
+);
 
 /**
  * @swagger
- * /users/getRequests:
+ * /get-recentMessages:
  *   get:
- *     summary: Get requests for a user
- *     description: Retrieve requests for a specific user based on receiver ID and status.
- *     tags: [Requests]
+ *     summary: Get recent messages
+ *     description: Retrieve the most recent messages sent and received by a user within a specific application.
+ *     tags:
+ *       - Messages
  *     parameters:
  *       - in: query
- *         name: id
+ *         name: app_id
+ *         schema:
+ *           type: string
  *         required: true
+ *         description: The ID of the application.
+ *         example: "1"
+ *       - in: query
+ *         name: user_id
  *         schema:
  *           type: string
- *         description: Receiver ID to filter requests.
+ *         required: true
+ *         description: The ID of the user.
+ *         example: "2"
  *     responses:
  *       200:
- *         description: A list of requests fetched successfully.
+ *         description: Recent messages retrieved successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: boolean
- *                   description: Indicates if the request was successful.
- *                 message:
- *                   type: string
- *                   description: Message related to the status of the request.
- *                 requests:
- *                   type: array
- *                   items:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   from_user:
+ *                     type: string
+ *                     description: The ID of the user who sent the message.
+ *                     example: "3"
+ *                   to_user:
+ *                     type: string
+ *                     description: The ID of the user who received the message.
+ *                     example: "2"
+ *                   message:
+ *                     type: string
+ *                     description: The content of the message.
+ *                     example: "Hello, how are you?"
+ *                   timestamp:
+ *                     type: string
+ *                     format: date-time
+ *                     description: The timestamp when the message was sent.
+ *                     example: "2024-07-10T05:32:44.000Z"
+ *                   unread_count:
+ *                     type: integer
+ *                     description: Messages from the other user in this conversation that the requesting user has not read yet.
+ *                     example: 3
+ *                   group:
  *                     type: object
+ *                     description: Set instead of user for group threads.
  *                     properties:
  *                       id:
  *                         type: integer
- *                         description: The ID of the request.
- *                       senderID:
- *                         type: string
- *                         description: The ID of the sender.
- *                       receiverID:
- *                         type: string
- *                         description: The ID of the receiver.
- *                       createdAt:
+ *                       name:
  *                         type: string
- *                         format: date-time
- *                         description: The timestamp when the request was created.
- *     security:
- *       - apiKeyAuth: []
+ *       400:
+ *         description: Bad request, missing required parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "All fields are required"
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "Error retrieving messages"
  */
-//This is the get Request API for a user
-app.get("/users/getRequests", authenticateToken, async (req, res) => {
-  const { id } = req.query;
+app.get(
+  "/get-recentMessages",
+  authenticateToken,
+  authorizeUser("query", "user_id"),
+  async (req, res) => {
+    const { app_id, user_id } = req.query;
+
+    // unread_count is what the partner sent this user that is not read yet
+    const query = `
+      SELECT recent_messages.from_user, recent_messages.to_user, recent_messages.message, recent_messages.message_type, recent_messages.timestamp,
+        COALESCE(unread.unread_count, 0) AS unread_count
+      FROM (
+        SELECT 
+          m.from_user, m.to_user, m.message, m.message_type, m.timestamp,
+          ROW_NUMBER() OVER (PARTITION BY LEAST(m.from_user, m.to_user), GREATEST(m.from_user, m.to_user) ORDER BY m.timestamp DESC) AS rn
+        FROM messages m
+        WHERE m.app_id = ? AND m.group_id IS NULL AND (m.from_user = ? OR m.to_user = ?) AND m.hidden = false
+      ) AS recent_messages
+      LEFT JOIN (
+        SELECT from_user AS partner_id, COUNT(*) AS unread_count
+        FROM messages
+        WHERE app_id = ? AND to_user = ? AND read_at IS NULL AND hidden = false
+        GROUP BY from_user
+      ) AS unread
+        ON unread.partner_id = IF(recent_messages.from_user = ?, recent_messages.to_user, recent_messages.from_user)
+      WHERE rn = 1
+      ORDER BY recent_messages.timestamp DESC;
+    `;
+
+    try {
+      const messages = await queryDb(query, [
+        app_id,
+        user_id,
+        user_id,
+        app_id,
+        user_id,
+        user_id,
+      ]);
+
+      const userPromises = messages.map(async (message) => {
+        const userQuery = `SELECT * FROM users WHERE id = ?`;
+        if (user_id == message.from_user) {
+          const user = await queryDb(userQuery, [message.to_user]);
+          return {
+            ...message,
+            user: user[0],
+          };
+        } else {
+          const user = await queryDb(userQuery, [message.from_user]);
+          return {
+            ...message,
+            user: user[0],
+          };
+        }
+      });
 
-  let query = "SELECT * FROM request WHERE receiver_id = ? ";
-  let queryParams = [id];
+      const messagesWithUsers = await Promise.all(userPromises);
+
+      // Latest message of every group the user is in; unread is everything
+      // after their read marker that someone else sent
+      const groupQuery = `
+        SELECT m.from_user, m.to_user, m.group_id, m.message, m.message_type, m.timestamp,
+          (SELECT COUNT(*) FROM messages um
+           WHERE um.group_id = gm.group_id AND um.id > COALESCE(gm.last_read_message_id, 0)
+           AND um.from_user != gm.user_id AND um.hidden = false) AS unread_count,
+          g.name AS group_name
+        FROM group_members gm
+        JOIN chat_groups g ON g.id = gm.group_id
+        JOIN messages m ON m.id = (SELECT MAX(id) FROM messages WHERE group_id = gm.group_id AND hidden = false)
+        WHERE gm.user_id = ? AND g.app_id = ?
+      `;
+      const groupThreads = (await queryDb(groupQuery, [user_id, app_id])).map(
+        ({ group_name, ...message }) => ({
+          ...message,
+          group: { id: message.group_id, name: group_name },
+        })
+      );
 
-  query += " AND status = ? ";
-  queryParams.push("pending");
+      const conversations = messagesWithUsers
+        .concat(groupThreads)
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
 
-  db.query(query, queryParams, (err, result) => {
-    if (err) {
-      return res
-        .status(500)
-        .json({ status: false, message: err.message, requests: null });
+      res.status(200).json(conversations);
+    } catch (err) {
+      console.error("Error retrieving messages:", err);
+      res.status(500).send("Error retrieving messages");
     }
+  }
+);
 
-    let requests = result.map((myRequest) => {
-      return myRequest;
-    });
-
-    res.status(200).json({
-      status: true,
-      message: "Requests fetched successfully",
-      requests,
-    });
-  });
-});
 /**
  * @swagger
- * /users/getFriendList:
+ * /get-unreadCount:
  *   get:
- *     summary: Get the friend list of a user
- *     description: Fetches the list of friends (user entities) for a given user based on their user ID. Only accepted friend requests are included in the list.
- *     tags: [Requests]
+ *     summary: Get the total unread message count
+ *     description: Count every message sent to the user within an application that they have not read yet, including group messages after their read marker, for the inbox badge.
+ *     tags:
+ *       - Messages
  *     parameters:
  *       - in: query
- *         name: id
+ *         name: app_id
+ *         schema:
+ *           type: string
  *         required: true
- *         description: The ID of the user whose friend list is to be fetched
+ *         description: The ID of the application.
+ *         example: "1"
+ *       - in: query
+ *         name: user_id
  *         schema:
  *           type: string
- *           example: 123
+ *         description: The ID of the user. Defaults to the authenticated user.
+ *         example: "2"
  *     responses:
  *       200:
- *         description: Successfully fetched the friend list
+ *         description: Unread count retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -997,282 +1842,326 @@ app.get("/users/getRequests", authenticateToken, async (req, res) => {
  *                 status:
  *                   type: boolean
  *                   example: true
- *                 message:
- *                   type: string
- *                   example: Friend List fetched successfully
- *                 list:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       id:
- *                         type: string
- *                         example: 456
- *                       name:
- *                         type: string
- *                         example: John Doe
- *                       email:
- *                         type: string
- *                         example: john.doe@example.com
- *                       contact:
- *                         type: string
- *                         example: 1234567890
- *                       gender:
- *                         type: string
- *                         example: male
- *                       dob:
- *                         type: string
- *                         example: 1990-01-01
- *                       bio:
- *                         type: string
- *                         example: "Hello, I'm John!"
- *                       interests:
- *                         type: string
- *                         example: "Reading, Traveling"
+ *                 unread:
+ *                   type: integer
+ *                   example: 7
+ *                 conversations:
+ *                   type: integer
+ *                   description: Number of conversations with at least one unread message.
+ *                   example: 2
  *       400:
- *         description: Missing or invalid parameters
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: boolean
- *                   example: false
- *                 message:
- *                   type: string
- *                   example: Missing or invalid parameters
+ *         description: Bad request, missing required parameters
  *       500:
  *         description: Internal server error
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: boolean
- *                   example: false
- *                 message:
- *                   type: string
- *                   example: An error occurred while fetching the friend list
  */
+app.get(
+  "/get-unreadCount",
+  authenticateToken,
+  authorizeUser("query", "user_id"),
+  async (req, res) => {
+    const { app_id, user_id } = req.query;
 
-//Get Friend Lists
-app.get("/users/getFriendList", authenticateToken, async (req, res) => {
-  const { id } = req.query;
+    if (!app_id) {
+      return res.status(400).json({ error: "All fields are required" });
+    }
 
-  let query = `
-    SELECT DISTINCT u.*
-    FROM request r
-    JOIN users u ON (r.sender_id = u.id AND r.receiver_id = ?) OR (r.receiver_id = u.id AND r.sender_id = ?)
-    WHERE r.status = ?
-  `;
-  let queryParams = [id, id, "accepted"];
+    const query = `
+      SELECT COUNT(*) AS unread, COUNT(DISTINCT from_user) AS conversations
+      FROM messages
+      WHERE app_id = ? AND to_user = ? AND read_at IS NULL AND hidden = false
+    `;
+    const groupQuery = `
+      SELECT COUNT(*) AS unread, COUNT(DISTINCT m.group_id) AS conversations
+      FROM group_members gm
+      JOIN messages m ON m.group_id = gm.group_id
+        AND m.id > COALESCE(gm.last_read_message_id, 0) AND m.from_user != gm.user_id
+        AND m.hidden = false
+      WHERE gm.user_id = ? AND m.app_id = ?
+    `;
 
-  db.query(query, queryParams, (err, result) => {
-    if (err) {
-      return res
-        .status(500)
-        .json({ status: false, message: err.message, list: null });
+    try {
+      const rows = await queryDb(query, [app_id, user_id]);
+      const groupRows = await queryDb(groupQuery, [user_id, app_id]);
+      res.status(200).json({
+        status: true,
+        unread: rows[0].unread + groupRows[0].unread,
+        conversations: rows[0].conversations + groupRows[0].conversations,
+      });
+    } catch (err) {
+      console.error("Error counting unread messages:", err);
+      res.status(500).send("Error counting unread messages");
     }
+  }
+);
 
-    let requests = result.map((myRequest) => {
-      myRequest.latitude = parseFloat(myRequest.latitude);
-      myRequest.longitude = parseFloat(myRequest.longitude);
+// Turn free text into a boolean-mode full-text query where every word must
+// match, as a whole word or a prefix
+const toSearchTerms = (text) => {
+  return String(text || "")
+    .replace(/[+\-<>()~*"@]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => `+${word}*`)
+    .join(" ");
+};
 
-      return myRequest;
-    });
+// A piece of the message text around the first matching word
+const searchSnippet = (message, text) => {
+  const words = String(text).toLowerCase().split(/\s+/).filter(Boolean);
+  const lower = message.toLowerCase();
+  const found = words.map((word) => lower.indexOf(word)).filter((i) => i >= 0);
+  const index = found.length ? Math.min(...found) : 0;
+  const start = Math.max(0, index - 60);
+  const end = Math.min(message.length, index + 100);
+  return `${start > 0 ? "…" : ""}${message.slice(start, end)}${end < message.length ? "…" : ""}`;
+};
 
-    res.status(200).json({
-      status: true,
-      message: "Friend List fetched successfully",
-      list: requests,
-    });
-  });
-});
+// The messages just before and after a hit in the same conversation
+const loadSearchContext = async (row) => {
+  const conversation = row.group_id
+    ? "group_id = ?"
+    : "group_id IS NULL AND ((from_user = ? AND to_user = ?) OR (from_user = ? AND to_user = ?))";
+  const conversationParams = row.group_id
+    ? [row.group_id]
+    : [row.from_user, row.to_user, row.to_user, row.from_user];
+  const columns = "id, from_user, message, message_type, timestamp";
+
+  const before = await queryDb(
+    `SELECT ${columns} FROM messages WHERE ${conversation} AND deleted = 0 AND hidden = false AND id < ? ORDER BY id DESC LIMIT ?`,
+    [...conversationParams, row.id, SEARCH_CONTEXT_MESSAGES]
+  );
+  const after = await queryDb(
+    `SELECT ${columns} FROM messages WHERE ${conversation} AND deleted = 0 AND hidden = false AND id > ? ORDER BY id ASC LIMIT ?`,
+    [...conversationParams, row.id, SEARCH_CONTEXT_MESSAGES]
+  );
+  return { before: before.reverse(), after };
+};
 
-// POST APIs
 /**
  * @swagger
- * /users/signup:
- *   post:
- *     summary: Sign up a new user
- *     tags: [Users]
- *     requestBody:
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               contact:
- *                 type: string
- *               gender:
- *                 type: string
- *               bio:
- *                 type: string
- *               dob:
- *                 type: string
- *               interests:
- *                 type: string
- *               latitude:
- *                 type: number
- *               longitude:
- *                 type: number
- *               education:
- *                 type: string
- *               profile_pic:
- *                 type: string
- *                 format: binary
- *               avatar_image:
- *                 type: string
- *                 format: binary
- *               profile_images:
- *                 type: array
- *                 items:
- *                   type: string
- *                   format: binary
- *               document_url:
- *                 type: string
- *                 format: binary
+ * /search-messages:
+ *   get:
+ *     summary: Search the text of the user's messages
+ *     description: Matches whole words or word prefixes in every direct and group conversation the user took part in. Deleted messages are never returned. Hits come back newest first with the messages around them.
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The words to look for. Every word must match.
+ *       - in: query
+ *         name: with_user
+ *         schema:
+ *           type: integer
+ *         description: Only search the direct conversation with this user
+ *       - in: query
+ *         name: group_id
+ *         schema:
+ *           type: integer
+ *         description: Only search this group
+ *       - in: query
+ *         name: from_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only messages sent on or after this date
+ *       - in: query
+ *         name: to_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only messages sent on or before this date
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: integer
+ *         description: Return hits older than this message ID. Pass the previous response's next value.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
  *     responses:
- *       201:
- *         description: User signed up successfully
+ *       200:
+ *         description: A page of hits
  *         content:
  *           application/json:
  *             schema:
  *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 hasMore:
+ *                   type: boolean
+ *                 next:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Cursor for the next (older) page
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       message:
+ *                         type: object
+ *                       snippet:
+ *                         type: string
+ *                         description: The text around the first match
+ *                       context:
+ *                         type: object
+ *                         properties:
+ *                           before:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                           after:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *       400:
+ *         description: Missing search text or invalid dates
+ *       404:
+ *         description: Group not found or the user is not a member
+ *       500:
+ *         description: Internal server error
  */
-app.post(
-  "/users/signup",
-  upload.fields([
-    { name: "profile_pic", maxCount: 1 },
-    { name: "avatar_image", maxCount: 1 },
-    { name: "profile_images", maxCount: 10 },
-    { name: "document_url", maxCount: 1 },
-  ]),
-  validateSignup,
-  async (req, res) => {
-    const {
-      name,
-      contact,
-      gender,
-      bio,
-      dob,
-      interests,
-      latitude,
-      longitude,
-      education,
-    } = req.body;
-    const interestsList = interests.split(","); // Convert interests to an array
-
-    try {
-      const profilePicUrl = req.files.profile_pic
-        ? await uploadToCloudinary(req.files.profile_pic[0], "profile_pics")
-        : null;
-      const avatarImageUrl = req.files.avatar_image
-        ? await uploadToCloudinary(req.files.avatar_image[0], "avatar_images")
-        : null;
-      const documentURl = req.files.document_url
-        ? await uploadToCloudinary(req.files.document_url[0], "document_urls")
-        : null;
+app.get("/search-messages", authenticateToken, async (req, res) => {
+  const { q, with_user, group_id, from_date, to_date, before, limit } = req.query;
+  const userID = req.user.id;
+  const terms = toSearchTerms(q);
+
+  if (!terms) {
+    return res
+      .status(400)
+      .json({ status: false, message: "Search text is required" });
+  }
 
-      const profileImageUrls = req.files.profile_images
-        ? await Promise.all(
-            req.files.profile_images.map((file) =>
-              uploadToCloudinary(file, "profile_images")
-            )
-          )
-        : [];
+  const fromDate = from_date ? moment(from_date) : null;
+  const toDate = to_date ? moment(to_date) : null;
+  if ((fromDate && !fromDate.isValid()) || (toDate && !toDate.isValid())) {
+    return res.status(400).json({ status: false, message: "Invalid date range" });
+  }
 
-      const user = {
-        full_name: name,
-        contact: contact,
-        gender: gender,
-        bio: bio,
-        date_of_birth: dob,
-        likes: JSON.stringify(interestsList),
-        latitude: parseFloat(latitude),
-        longitude: parseFloat(longitude),
-        profile_pic_url: profilePicUrl,
-        avatar_url: avatarImageUrl,
-        profile_images: JSON.stringify(profileImageUrls),
-        document_url: documentURl,
-        education: education,
-        status: "ACTIVE",
-        subscribed: false,
-        subscription_expiry: null,
-      };
+  try {
+    let conditions =
+      "deleted = 0 AND hidden = false AND MATCH(message) AGAINST(? IN BOOLEAN MODE)";
+    const params = [terms];
 
-      db.query("INSERT INTO users SET ?", user, (err, result) => {
-        if (err) {
-          return res
-            .status(500)
-            .json({ status: false, message: err.message, user: null });
-        }
+    if (group_id) {
+      if (!(await getGroupRole(group_id, userID))) {
+        return res
+          .status(404)
+          .json({ status: false, message: "Group not found" });
+      }
+      conditions += " AND group_id = ?";
+      params.push(group_id);
+    } else if (with_user) {
+      conditions +=
+        " AND group_id IS NULL AND ((from_user = ? AND to_user = ?) OR (from_user = ? AND to_user = ?))";
+      params.push(userID, with_user, with_user, userID);
+    } else {
+      conditions += ` AND (from_user = ? OR to_user = ?
+        OR group_id IN (SELECT group_id FROM group_members WHERE user_id = ?))`;
+      params.push(userID, userID, userID);
+    }
 
-        const token = jwt.sign(
-          { contact: contact },
-          process.env.JWT_SECRET_KEY
-        );
+    if (fromDate) {
+      conditions += " AND timestamp >= ?";
+      params.push(fromDate.startOf("day").format("YYYY-MM-DD HH:mm:ss"));
+    }
+    if (toDate) {
+      conditions += " AND timestamp <= ?";
+      params.push(toDate.endOf("day").format("YYYY-MM-DD HH:mm:ss"));
+    }
+    if (parseInt(before, 10)) {
+      conditions += " AND id < ?";
+      params.push(parseInt(before, 10));
+    }
 
-        res.status(201).json({
-          status: true,
-          message: "User signed up successfully",
-          user: {
-            id: result.insertId,
-            ...user,
-            likes: interestsList, // Return interests as an array
-            profile_images: profileImageUrls, // Return profile_images as an array
-            token: token,
-          },
-        });
+    const pageSize = Math.min(parseInt(limit, 10) || SEARCH_PAGE_LIMIT, SEARCH_PAGE_MAX);
+    const rows = await queryDb(
+      `SELECT * FROM messages WHERE ${conditions} ORDER BY id DESC LIMIT ?`,
+      [...params, pageSize + 1]
+    );
+    const hasMore = rows.length > pageSize;
+    const messages = await addMessageExtras(rows.slice(0, pageSize));
+
+    const results = [];
+    for (const row of messages) {
+      results.push({
+        message: row,
+        snippet: searchSnippet(row.message, q),
+        context: await loadSearchContext(row),
       });
-    } catch (error) {
-      res
-        .status(500)
-        .json({ status: false, message: error.message, user: null });
     }
+
+    res.status(200).json({
+      status: true,
+      hasMore,
+      next: hasMore ? messages[messages.length - 1].id : null,
+      results,
+    });
+  } catch (err) {
+    console.error("Error searching messages:", err);
+    res.status(500).json({ status: false, message: err.message });
   }
-);
+});
+
+// Turn a comma separated string (form data) or array (JSON) into user IDs
+const parseUserIDs = (value) => {
+  return [
+    ...new Set(
+      String(value)
+        .split(",")
+        .map((id) => Number(id.trim()))
+        .filter((id) => Number.isInteger(id) && id > 0)
+    ),
+  ];
+};
+
+// Tell every current member (and anyone just removed) about a membership change
+const notifyGroup = async (groupID, event, extraRecipientIDs = []) => {
+  const memberIDs = await getGroupMemberIDs(groupID);
+  memberIDs.concat(extraRecipientIDs).forEach((memberID) => {
+    sendToUser(memberID, { cmd: "group", group_id: Number(groupID), ...event });
+  });
+};
 
 /**
  * @swagger
- * /users/sendRequest:
+ * /groups/createGroup:
  *   post:
- *     summary: Send a request
- *     tags: [Requests]
- *     description: Create a new request with sender and receiver IDs.
+ *     summary: Create a group chat
+ *     description: Creates a group with the authenticated user as admin. Every member must be on the creator's friend list.
+ *     tags: [Groups]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - app_id
+ *               - name
+ *               - members
  *             properties:
- *               senderID:
+ *               app_id:
  *                 type: string
- *                 description: The ID of the sender.
- *               receiverID:
+ *                 example: "1"
+ *               name:
  *                 type: string
- *                 description: The ID of the receiver.
+ *                 example: "Weekend hiking"
+ *               members:
+ *                 type: string
+ *                 description: Comma separated user IDs of the friends to add
+ *                 example: "4,7,9"
  *     responses:
  *       201:
- *         description: Request sent successfully.
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: boolean
- *                   description: Indicates if the request was successfully sent.
- *                 message:
- *                   type: string
- *                   description: Message indicating the success of the request.
- *       500:
- *         description: Internal server error occurred.
+ *         description: Group created
  *         content:
  *           application/json:
  *             schema:
@@ -1280,209 +2169,3010 @@ app.post(
  *               properties:
  *                 status:
  *                   type: boolean
- *                   description: Indicates if an error occurred.
+ *                   example: true
  *                 message:
  *                   type: string
- *                   description: Error message describing the issue.
- *                 sendingRequest:
+ *                   example: Group created successfully
+ *                 group:
  *                   type: object
- *                   description: The request object that failed to send.
- *     security:
- *       - apiKeyAuth: []
+ *       400:
+ *         description: Missing fields or no members
+ *       403:
+ *         description: Some members are not friends of the creator
+ *       500:
+ *         description: Internal server error
  */
-
-//This is the send Request API
 app.post(
-  "/users/sendRequest",
+  "/groups/createGroup",
   upload.none(),
   authenticateToken,
   async (req, res) => {
-    const { senderID, receiverID } = req.body;
+    const { app_id, name, members } = req.body;
 
-    const sendingRequest = {
-      sender_id: senderID,
-      receiver_id: receiverID,
-      status: "pending",
-    };
+    if (!app_id || !name || !members) {
+      return res.status(400).json({
+        status: false,
+        message: "Please provide all the attributes: app_id, name, members",
+      });
+    }
 
-    db.query("INSERT INTO request SET ?", sendingRequest, (err, result) => {
-      if (err) {
-        return res
-          .status(500)
-          .json({ status: false, message: err.message, sendingRequest: null });
+    const memberIDs = parseUserIDs(members).filter(
+      (memberID) => memberID !== Number(req.user.id)
+    );
+    if (memberIDs.length === 0) {
+      return res
+        .status(400)
+        .json({ status: false, message: "A group needs at least one other member" });
+    }
+
+    try {
+      const friendIDs = await getFriendIDs(req.user.id);
+      if (memberIDs.some((memberID) => !friendIDs.includes(memberID))) {
+        return res.status(403).json({
+          status: false,
+          message: "You can only add friends to a group",
+        });
       }
+
+      const result = await queryDb("INSERT INTO chat_groups SET ?", {
+        app_id,
+        name,
+        created_by: req.user.id,
+      });
+      const groupID = result.insertId;
+
+      const memberRows = [[groupID, req.user.id, "admin"]].concat(
+        memberIDs.map((memberID) => [groupID, memberID, "member"])
+      );
+      await queryDb(
+        "INSERT INTO group_members (group_id, user_id, role) VALUES ?",
+        [memberRows]
+      );
+
+      const group = {
+        id: groupID,
+        app_id,
+        name,
+        created_by: Number(req.user.id),
+        members: memberRows.map(([, user_id, role]) => ({ user_id, role })),
+      };
+      await notifyGroup(groupID, { type: "created", group });
+
       res.status(201).json({
         status: true,
-        message: "Request sent Successfully",
+        message: "Group created successfully",
+        group,
       });
-    });
+    } catch (err) {
+      console.error("Error creating group:", err);
+      res.status(500).json({ status: false, message: err.message });
+    }
   }
 );
 
-// PUT APIs
 /**
  * @swagger
- * /users/editUser/{id}:
- *   put:
- *     summary: Edit user by ID
- *     tags: [Users]
- *     parameters:
- *       - in: path
- *         name: id
- *         schema:
- *           type: integer
- *         required: true
- *         description: The user ID
- *     requestBody:
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               contact:
- *                 type: string
- *               gender:
+ * /groups/getGroups:
+ *   get:
+ *     summary: Get the groups of the authenticated user
+ *     tags: [Groups]
+ *     responses:
+ *       200:
+ *         description: Groups fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Groups fetched successfully
+ *                 groups:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       role:
+ *                         type: string
+ *                         enum: [admin, member]
+ *                       member_count:
+ *                         type: integer
+ *       500:
+ *         description: Internal server error
+ */
+app.get("/groups/getGroups", authenticateToken, async (req, res) => {
+  const query = `
+    SELECT g.*, gm.role,
+      (SELECT COUNT(*) FROM group_members WHERE group_id = g.id) AS member_count
+    FROM chat_groups g
+    JOIN group_members gm ON gm.group_id = g.id
+    WHERE gm.user_id = ?
+    ORDER BY g.created_at DESC
+  `;
+
+  try {
+    const groups = await queryDb(query, [req.user.id]);
+    res.status(200).json({
+      status: true,
+      message: "Groups fetched successfully",
+      groups,
+    });
+  } catch (err) {
+    res.status(500).json({ status: false, message: err.message, groups: null });
+  }
+});
+
+/**
+ * @swagger
+ * /groups/getGroup:
+ *   get:
+ *     summary: Get a group with its members
+ *     description: Only members can see a group.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: query
+ *         name: group_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Group fetched successfully
+ *       404:
+ *         description: Group not found or the user is not a member
+ *       500:
+ *         description: Internal server error
+ */
+app.get("/groups/getGroup", authenticateToken, async (req, res) => {
+  const { group_id } = req.query;
+
+  try {
+    if (!(await getGroupRole(group_id, req.user.id))) {
+      return res
+        .status(404)
+        .json({ status: false, message: "Group not found", group: null });
+    }
+
+    const groups = await queryDb("SELECT * FROM chat_groups WHERE id = ?", [
+      group_id,
+    ]);
+    const members = await queryDb(
+      `SELECT u.id, u.full_name, u.profile_pic_url, u.avatar_url, u.online_status, gm.role, gm.joined_at
+       FROM group_members gm
+       JOIN users u ON u.id = gm.user_id
+       WHERE gm.group_id = ?
+       ORDER BY gm.joined_at ASC`,
+      [group_id]
+    );
+
+    res.status(200).json({
+      status: true,
+      message: "Group fetched successfully",
+      group: { ...groups[0], members },
+    });
+  } catch (err) {
+    res.status(500).json({ status: false, message: err.message, group: null });
+  }
+});
+
+/**
+ * @swagger
+ * /groups/addMember:
+ *   post:
+ *     summary: Add a member to a group
+ *     description: Only admins can add members, and only from their own friend list. The new member does not get the earlier messages counted as unread.
+ *     tags: [Groups]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               group_id:
+ *                 type: integer
+ *                 example: 3
+ *               user_id:
+ *                 type: integer
+ *                 example: 12
+ *     responses:
+ *       201:
+ *         description: Member added
+ *       400:
+ *         description: Missing fields
+ *       403:
+ *         description: Not an admin, or the user is not a friend
+ *       409:
+ *         description: Already a member
+ *       500:
+ *         description: Internal server error
+ */
+app.post(
+  "/groups/addMember",
+  upload.none(),
+  authenticateToken,
+  async (req, res) => {
+    const { group_id, user_id } = req.body;
+
+    if (!group_id || !user_id) {
+      return res.status(400).json({
+        status: false,
+        message: "Both group_id and user_id are required",
+      });
+    }
+
+    try {
+      if ((await getGroupRole(group_id, req.user.id)) !== "admin") {
+        return res.status(403).json({
+          status: false,
+          message: "Only group admins can add members",
+        });
+      }
+      if (await getGroupRole(group_id, user_id)) {
+        return res
+          .status(409)
+          .json({ status: false, message: "User is already a member" });
+      }
+      const friendIDs = await getFriendIDs(req.user.id);
+      if (!friendIDs.includes(Number(user_id))) {
+        return res.status(403).json({
+          status: false,
+          message: "You can only add friends to a group",
+        });
+      }
+
+      await queryDb(
+        `INSERT INTO group_members (group_id, user_id, role, last_read_message_id)
+         SELECT ?, ?, 'member', COALESCE(MAX(id), 0) FROM messages WHERE group_id = ?`,
+        [group_id, user_id, group_id]
+      );
+      await notifyGroup(group_id, {
+        type: "member_added",
+        user_id: Number(user_id),
+        by: Number(req.user.id),
+      });
+
+      res
+        .status(201)
+        .json({ status: true, message: "Member added successfully" });
+    } catch (err) {
+      console.error("Error adding group member:", err);
+      res.status(500).json({ status: false, message: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /groups/removeMember:
+ *   put:
+ *     summary: Remove a member from a group, or leave it
+ *     description: Admins can remove anyone; any member can remove themselves. When the last admin leaves, the longest standing member becomes admin.
+ *     tags: [Groups]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               group_id:
+ *                 type: integer
+ *                 example: 3
+ *               user_id:
+ *                 type: integer
+ *                 description: Defaults to the authenticated user, i.e. leaving the group
+ *                 example: 12
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       403:
+ *         description: Only admins can remove other members
+ *       404:
+ *         description: The user is not a member of the group
+ *       500:
+ *         description: Internal server error
+ */
+app.put(
+  "/groups/removeMember",
+  upload.none(),
+  authenticateToken,
+  async (req, res) => {
+    const { group_id } = req.body;
+    const user_id = req.body.user_id || req.user.id;
+    const leaving = String(user_id) === String(req.user.id);
+
+    try {
+      const requesterRole = await getGroupRole(group_id, req.user.id);
+      if (!leaving && requesterRole !== "admin") {
+        return res.status(403).json({
+          status: false,
+          message: "Only group admins can remove members",
+        });
+      }
+
+      const result = await queryDb(
+        "DELETE FROM group_members WHERE group_id = ? AND user_id = ?",
+        [group_id, user_id]
+      );
+      if (result.affectedRows === 0) {
+        return res
+          .status(404)
+          .json({ status: false, message: "User is not a member of this group" });
+      }
+
+      // Never leave a group without an admin
+      const admins = await queryDb(
+        "SELECT user_id FROM group_members WHERE group_id = ? AND role = 'admin'",
+        [group_id]
+      );
+      if (admins.length === 0) {
+        await queryDb(
+          "UPDATE group_members SET role = 'admin' WHERE group_id = ? ORDER BY joined_at ASC LIMIT 1",
+          [group_id]
+        );
+      }
+
+      await notifyGroup(
+        group_id,
+        { type: "member_removed", user_id: Number(user_id), by: Number(req.user.id) },
+        [user_id]
+      );
+
+      res.status(200).json({
+        status: true,
+        message: leaving ? "Left group successfully" : "Member removed successfully",
+      });
+    } catch (err) {
+      console.error("Error removing group member:", err);
+      res.status(500).json({ status: false, message: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /groups/setRole:
+ *   put:
+ *     summary: Make a member an admin or a regular member
+ *     description: Only admins can change roles, and a group always keeps at least one admin.
+ *     tags: [Groups]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               group_id:
+ *                 type: integer
+ *                 example: 3
+ *               user_id:
+ *                 type: integer
+ *                 example: 12
+ *               role:
+ *                 type: string
+ *                 enum: [admin, member]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Invalid role, or it would leave the group without an admin
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: The user is not a member of the group
+ *       500:
+ *         description: Internal server error
+ */
+app.put(
+  "/groups/setRole",
+  upload.none(),
+  authenticateToken,
+  async (req, res) => {
+    const { group_id, user_id, role } = req.body;
+
+    if (!group_id || !user_id || !["admin", "member"].includes(role)) {
+      return res.status(400).json({
+        status: false,
+        message: "group_id, user_id and a role of admin or member are required",
+      });
+    }
+
+    try {
+      if ((await getGroupRole(group_id, req.user.id)) !== "admin") {
+        return res.status(403).json({
+          status: false,
+          message: "Only group admins can change roles",
+        });
+      }
+      const currentRole = await getGroupRole(group_id, user_id);
+      if (!currentRole) {
+        return res
+          .status(404)
+          .json({ status: false, message: "User is not a member of this group" });
+      }
+
+      if (currentRole === "admin" && role === "member") {
+        const admins = await queryDb(
+          "SELECT COUNT(*) AS count FROM group_members WHERE group_id = ? AND role = 'admin'",
+          [group_id]
+        );
+        if (admins[0].count <= 1) {
+          return res.status(400).json({
+            status: false,
+            message: "A group needs at least one admin",
+          });
+        }
+      }
+
+      await queryDb(
+        "UPDATE group_members SET role = ? WHERE group_id = ? AND user_id = ?",
+        [role, group_id, user_id]
+      );
+      await notifyGroup(group_id, {
+        type: "role_changed",
+        user_id: Number(user_id),
+        role,
+        by: Number(req.user.id),
+      });
+
+      res.status(200).json({ status: true, message: "Role updated successfully" });
+    } catch (err) {
+      console.error("Error changing group role:", err);
+      res.status(500).json({ status: false, message: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /get-groupMessages:
+ *   get:
+ *     summary: Get messages of a group
+ *     description: Same cursor pagination as /get-messages. Only members can read a group.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: query
+ *         name: group_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: integer
+ *         description: Return messages older than this message ID
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: integer
+ *         description: Return messages newer than this message ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: A page of messages, oldest first
+ *       404:
+ *         description: Group not found or the user is not a member
+ *       500:
+ *         description: Internal server error
+ */
+app.get("/get-groupMessages", authenticateToken, async (req, res) => {
+  const { group_id, before, after, limit } = req.query;
+
+  try {
+    if (!(await getGroupRole(group_id, req.user.id))) {
+      return res
+        .status(404)
+        .json({ status: false, message: "Group not found" });
+    }
+
+    const { messages, hasMore } = await fetchMessagesPage(
+      "group_id = ?",
+      [group_id],
+      { before, after, limit }
+    );
+
+    res.status(200).json({
+      status: true,
+      hasMore,
+      before: messages.length ? messages[0].id : null,
+      after: messages.length ? messages[messages.length - 1].id : null,
+      messages,
+    });
+  } catch (err) {
+    console.error("Error retrieving group messages:", err);
+    res.status(500).send("Error retrieving messages");
+  }
+});
+
+/**
+ * @swagger
+ * /users:
+ *   get:
+ *     summary: Get all users
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: A list of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ */
+app.get("/users", authenticateToken, (req, res) => {
+  const query = "SELECT * FROM users WHERE status = ?";
+  const queryParams = ["ACTIVE"];
+
+  db.query(query, queryParams, (err, result) => {
+    if (err) {
+      return res
+        .status(500)
+        .json({ status: false, message: err.message, users: null });
+    }
+
+    let users = result.map((user) => {
+      user.longitude = parseFloat(user.longitude);
+      user.latitude = parseFloat(user.latitude);
+
+      return user;
+    });
+
+    res
+      .status(200)
+      .json({ status: true, message: "Users fetched successfully", users });
+  });
+});
+
+// Getting User by ID API
+/**
+ * @swagger
+ * /users/id/{id}:
+ *   get:
+ *     summary: Get user by ID
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: A single user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ */
+app.get("/users/id/:id", authenticateToken, (req, res) => {
+  const { id } = req.params;
+
+  db.query("SELECT * FROM users WHERE id = ?", [id], (err, result) => {
+    if (err) {
+      return res
+        .status(500)
+        .json({ status: false, message: err.message, user: null });
+    }
+    if (result.length === 0) {
+      return res
+        .status(404)
+        .json({ status: false, message: "User not found", user: null });
+    }
+
+    const user = result[0];
+
+    res
+      .status(200)
+      .json({ status: true, message: "User fetched successfully", user });
+  });
+});
+
+/**
+ * @swagger
+ * /users/exists/{contact}:
+ *   get:
+ *     summary: Check if user exists by contact
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: contact
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The user contact
+ *     responses:
+ *       200:
+ *         description: User exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ */
+app.get("/users/exists/:contact", (req, res) => {
+  const { contact } = req.params;
+
+  db.query(
+    "SELECT * FROM users WHERE contact = ? AND status = ?",
+    [contact, "ACTIVE"],
+    (err, result) => {
+      if (err) {
+        return res.status(500).json({ status: false, message: err.message });
+      }
+      if (result.length === 0) {
+        return res
+          .status(404)
+          .json({ status: false, message: "User does not exist", user: null });
+      }
+
+      // Tokens are only issued through the OTP login below
+      res.status(200).json({ status: true, message: "User exists" });
+    }
+  );
+});
+
+/**
+ * @swagger
+ * /auth/otp/request:
+ *   post:
+ *     summary: Request a login or signup OTP
+ *     description: Sends a one-time password by SMS. For login (the default) the contact must belong to an existing user; for signup it must not belong to any user yet. Any earlier unused code for the contact stops working.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - contact
+ *             properties:
+ *               contact:
+ *                 type: string
+ *                 example: "+923001234567"
+ *               purpose:
+ *                 type: string
+ *                 enum: [login, signup]
+ *                 default: login
+ *     responses:
+ *       200:
+ *         description: OTP sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: OTP sent successfully
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Seconds until the code expires
+ *                   example: 300
+ *       400:
+ *         description: Contact is missing or purpose is not login or signup
+ *       404:
+ *         description: User does not exist (login)
+ *       409:
+ *         description: A user with this contact already exists (signup)
+ *       429:
+ *         description: An OTP was requested too recently
+ *       500:
+ *         description: Internal server error
+ */
+app.post("/auth/otp/request", upload.none(), async (req, res) => {
+  const { contact } = req.body;
+  const purpose = req.body.purpose || "login";
+
+  if (!contact) {
+    return res
+      .status(400)
+      .json({ status: false, message: "Contact is required" });
+  }
+  if (!["login", "signup"].includes(purpose)) {
+    return res
+      .status(400)
+      .json({ status: false, message: "Purpose must be login or signup" });
+  }
+
+  try {
+    if (purpose === "signup") {
+      const existing = await queryDb("SELECT id FROM users WHERE contact = ?", [contact]);
+      if (existing.length > 0) {
+        return res
+          .status(409)
+          .json({ status: false, message: "User already exists" });
+      }
+    } else {
+      const users = await queryDb(
+        "SELECT id FROM users WHERE contact = ? AND status = ?",
+        [contact, "ACTIVE"]
+      );
+      if (users.length === 0) {
+        return res
+          .status(404)
+          .json({ status: false, message: "User does not exist" });
+      }
+    }
+
+    const recent = await queryDb(
+      `SELECT COUNT(*) AS count FROM otp_codes
+       WHERE contact = ? AND created_at > DATE_SUB(NOW(), INTERVAL ? SECOND)`,
+      [contact, OTP_RESEND_SECONDS]
+    );
+    if (recent[0].count > 0) {
+      return res.status(429).json({
+        status: false,
+        message: `Please wait ${OTP_RESEND_SECONDS} seconds before requesting another OTP`,
+      });
+    }
+
+    const code = generateOtp();
+    await queryDb(
+      "UPDATE otp_codes SET consumed_at = NOW() WHERE contact = ? AND consumed_at IS NULL",
+      [contact]
+    );
+    await queryDb(
+      `INSERT INTO otp_codes (contact, code_hash, expires_at)
+       VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+      [contact, hashOtp(code), OTP_TTL_SECONDS]
+    );
+    await smsProvider.send(
+      contact,
+      `Your Holla Gorilla ${purpose === "signup" ? "verification" : "login"} code is ${code}`
+    );
+
+    res.status(200).json({
+      status: true,
+      message: "OTP sent successfully",
+      expiresIn: OTP_TTL_SECONDS,
+    });
+  } catch (error) {
+    console.error("Error sending OTP:", error);
+    res.status(500).json({ status: false, message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/otp/verify:
+ *   post:
+ *     summary: Verify a login or signup OTP
+ *     description: Checks the latest OTP sent to the contact and, if it matches, logs the user in. When no user has the contact yet, it returns a signupToken instead, which /users/signup needs to create the account. A code stops working once it expires or after too many wrong attempts.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - contact
+ *               - code
+ *             properties:
+ *               contact:
+ *                 type: string
+ *                 example: "+923001234567"
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               deviceId:
+ *                 type: string
+ *                 description: Identifies the device; logging in again on it replaces its session
+ *                 example: "pixel-7-abc123"
+ *     responses:
+ *       200:
+ *         description: Logged in, or for a new contact verified (user is null and signupToken is set)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Logged in successfully
+ *                 user:
+ *                   type: object
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Seconds until the access token (or signupToken) expires
+ *                   example: 900
+ *                 signupToken:
+ *                   type: string
+ *                   description: Only for a contact with no user yet. Pass it to /users/signup.
+ *       400:
+ *         description: Missing fields, or no active OTP for the contact
+ *       401:
+ *         description: Wrong code
+ *       404:
+ *         description: User does not exist
+ *       429:
+ *         description: Too many wrong attempts, a new OTP is needed
+ *       500:
+ *         description: Internal server error
+ */
+app.post("/auth/otp/verify", upload.none(), async (req, res) => {
+  const { contact, code, deviceId } = req.body;
+
+  if (!contact || !code) {
+    return res
+      .status(400)
+      .json({ status: false, message: "Contact and code are required" });
+  }
+
+  try {
+    const otps = await queryDb(
+      `SELECT id, code_hash, attempts FROM otp_codes
+       WHERE contact = ? AND consumed_at IS NULL AND expires_at > NOW()
+       ORDER BY id DESC LIMIT 1`,
+      [contact]
+    );
+    if (otps.length === 0) {
+      return res.status(400).json({
+        status: false,
+        message: "OTP expired or was never requested",
+      });
+    }
+
+    const otp = otps[0];
+
+    // Every try is counted before the code is checked, in one conditional
+    // update, so parallel requests cannot get past the limit
+    const counted = await queryDb(
+      "UPDATE otp_codes SET attempts = attempts + 1 WHERE id = ? AND attempts < ?",
+      [otp.id, OTP_MAX_ATTEMPTS]
+    );
+    if (counted.affectedRows === 0) {
+      return res.status(429).json({
+        status: false,
+        message: "Too many attempts, please request a new OTP",
+      });
+    }
+
+    if (!otpMatches(code, otp.code_hash)) {
+      return res.status(401).json({
+        status: false,
+        message: "Invalid OTP",
+        attemptsLeft: Math.max(OTP_MAX_ATTEMPTS - otp.attempts - 1, 0),
+      });
+    }
+
+    // Only one request can consume the code, so it opens a single session
+    const consumed = await queryDb(
+      "UPDATE otp_codes SET consumed_at = NOW() WHERE id = ? AND consumed_at IS NULL",
+      [otp.id]
+    );
+    if (consumed.affectedRows === 0) {
+      return res.status(400).json({
+        status: false,
+        message: "OTP expired or was never requested",
+      });
+    }
+
+    const users = await queryDb(
+      "SELECT * FROM users WHERE contact = ? AND status = ?",
+      [contact, "ACTIVE"]
+    );
+    if (users.length === 0) {
+      const existing = await queryDb("SELECT id FROM users WHERE contact = ?", [contact]);
+      if (existing.length > 0) {
+        return res
+          .status(404)
+          .json({ status: false, message: "User does not exist", user: null });
+      }
+
+      // A new contact is now verified and can sign up
+      const { signupToken, expiresIn } = createSignupToken(contact);
+      return res.status(200).json({
+        status: true,
+        message: "Contact verified, continue to sign up",
+        user: null,
+        signupToken,
+        expiresIn,
+      });
+    }
+
+    let user = users[0];
+    const { token, refreshToken, expiresIn } = await createSession(
+      user,
+      deviceId
+    );
+
+    user.longitude = parseFloat(user.longitude);
+    user.latitude = parseFloat(user.latitude);
+
+    res.status(200).json({
+      status: true,
+      message: "Logged in successfully",
+      user,
+      token,
+      refreshToken,
+      expiresIn,
+    });
+  } catch (error) {
+    console.error("Error verifying OTP:", error);
+    res.status(500).json({ status: false, message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Refresh an access token
+ *     description: Exchanges a refresh token for a new access token and a new refresh token. The refresh token that was sent can not be used again.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Seconds until the access token expires
+ *                   example: 900
+ *       400:
+ *         description: Refresh token is missing
+ *       401:
+ *         description: Refresh token is invalid, expired or revoked
+ *       500:
+ *         description: Internal server error
+ */
+app.post("/auth/refresh", upload.none(), async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res
+      .status(400)
+      .json({ status: false, message: "Refresh token is required" });
+  }
+
+  try {
+    const tokens = await refreshSession(refreshToken);
+    if (!tokens) {
+      return res
+        .status(401)
+        .json({ status: false, message: "Invalid refresh token" });
+    }
+
+    res.status(200).json({ status: true, ...tokens });
+  } catch (error) {
+    console.error("Error refreshing token:", error);
+    res.status(500).json({ status: false, message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Log out
+ *     description: Revokes the session of the access token used for this call, or every session of the user when allDevices is true. Revoked access tokens stop working straight away and the WebSocket opened with a revoked session is closed.
+ *     tags: [Auth]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               allDevices:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Logged out successfully
+ *       401:
+ *         description: No token provided or session already revoked
+ *       500:
+ *         description: Internal server error
+ */
+app.post("/auth/logout", upload.none(), authenticateToken, async (req, res) => {
+  const allDevices = [true, "true"].includes(req.body.allDevices);
+
+  try {
+    if (allDevices) {
+      await queryDb(
+        "UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+        [req.user.id]
+      );
+    } else {
+      await queryDb("UPDATE sessions SET revoked_at = NOW() WHERE id = ?", [
+        req.user.sid,
+      ]);
+    }
+
+    // Revoked sessions must not keep their live sockets
+    closeSockets(req.user.id, allDevices ? null : [req.user.sid]);
+
+    res.status(200).json({ status: true, message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Error logging out:", error);
+    res.status(500).json({ status: false, message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /:
+ *   get:
+ *     summary: Default API
+ *     tags: [Default]
+ *     responses:
+ *       200:
+ *         description: A welcome message
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ */
+app.get("/", (req, res) => {
+  res.send("Hello, world!");
+});
+
+const MAX_DISCOVERY_LIST_ITEMS = 20;
+
+// Check discovery filters in the same formats /users/getUsers takes them:
+// comma separated gender and interests, ageRange as min-max years and
+// radRange as min-max km. Only fields present in `input` are returned; an
+// empty value comes back as null, which clears it.
+const validateDiscoveryFilters = (input) => {
+  const filters = {};
+  const list = (field) => {
+    const values = String(input[field])
+      .split(",")
+      .map((value) => value.trim())
+      .filter(Boolean);
+    if (values.length > MAX_DISCOVERY_LIST_ITEMS || values.some((value) => value.length > 50)) {
+      throw httpError(400, `${field} can have at most ${MAX_DISCOVERY_LIST_ITEMS} values of up to 50 characters`);
+    }
+    return values.length ? values.join(",") : null;
+  };
+  const range = (field, min, max) => {
+    const value = String(input[field]).trim();
+    if (!value) {
+      return null;
+    }
+    const match = value.match(/^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/);
+    if (!match || Number(match[1]) < min || Number(match[2]) > max || Number(match[1]) > Number(match[2])) {
+      throw httpError(400, `${field} must be min-max between ${min} and ${max}`);
+    }
+    return `${Number(match[1])}-${Number(match[2])}`;
+  };
+
+  if (input.gender !== undefined) {
+    filters.gender = list("gender");
+  }
+  if (input.interests !== undefined) {
+    filters.interests = list("interests");
+  }
+  if (input.ageRange !== undefined) {
+    filters.ageRange = range("ageRange", 18, 100);
+  }
+  if (input.radRange !== undefined) {
+    filters.radRange = range("radRange", 0, 20000);
+  }
+  return filters;
+};
+
+// Saved preferences in the query param formats, or nulls when none are saved
+const loadDiscoveryPreferences = async (userID) => {
+  const rows = await queryDb("SELECT * FROM discovery_preferences WHERE user_id = ?", [userID]);
+  const saved = rows[0];
+  return {
+    gender: saved && saved.gender ? saved.gender : null,
+    ageRange: saved && saved.min_age != null ? `${saved.min_age}-${saved.max_age}` : null,
+    interests: saved && saved.interests ? saved.interests : null,
+    radRange:
+      saved && saved.min_distance != null
+        ? `${Number(saved.min_distance)}-${Number(saved.max_distance)}`
+        : null,
+  };
+};
+
+// Without a subscription the search radius is capped. Asking for more is a
+// 402, while saved preferences from an expired subscription are clamped.
+const checkDiscoveryRadius = (radRange, subscribed) => {
+  if (radRange && !subscribed && Number(radRange.split("-")[1]) > FREE_DISCOVERY_RADIUS_KM) {
+    throw paymentRequired("extended_radius");
+  }
+};
+
+const resolveDiscoveryFilters = async (userID, query) => {
+  const saved = await loadDiscoveryPreferences(userID);
+  const overrides = validateDiscoveryFilters(query);
+  const subscribed = await hasActiveSubscription(userID);
+  checkDiscoveryRadius(overrides.radRange, subscribed);
+
+  const filters = { ...saved, ...overrides };
+  const maxRadius = subscribed ? DISCOVERY_DEFAULT_RADIUS_KM : FREE_DISCOVERY_RADIUS_KM;
+  if (!subscribed && filters.radRange) {
+    const [minRange, maxRange] = filters.radRange.split("-").map(Number);
+    filters.radRange = `${Math.min(minRange, maxRadius)}-${Math.min(maxRange, maxRadius)}`;
+  }
+  return { ...filters, maxRadius };
+};
+
+/**
+ * @swagger
+ * /users/getPreferences:
+ *   get:
+ *     summary: Get a user's saved discovery preferences
+ *     description: Values use the same formats as the /users/getUsers query params. Fields that were never saved are null.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: query
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The saved preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 preferences:
+ *                   type: object
+ *                   properties:
+ *                     gender:
+ *                       type: string
+ *                       nullable: true
+ *                       example: female,non-binary
+ *                     ageRange:
+ *                       type: string
+ *                       nullable: true
+ *                       example: 25-35
+ *                     interests:
+ *                       type: string
+ *                       nullable: true
+ *                       example: music,hiking
+ *                     radRange:
+ *                       type: string
+ *                       nullable: true
+ *                       example: 0-50
+ *       403:
+ *         description: The ID does not belong to the authenticated user
+ *       500:
+ *         description: Internal server error
+ */
+app.get(
+  "/users/getPreferences",
+  authenticateToken,
+  authorizeUser("query", "id"),
+  async (req, res) => {
+    try {
+      const preferences = await loadDiscoveryPreferences(req.query.id);
+      res.status(200).json({ status: true, preferences });
+    } catch (err) {
+      console.error("Error fetching preferences:", err);
+      res.status(500).json({ status: false, message: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /users/setPreferences:
+ *   put:
+ *     summary: Save discovery preferences
+ *     description: /users/getUsers applies saved preferences by default, and any of its query params overrides the saved value for that request. Only the fields sent are changed; send an empty value to clear one.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: query
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               gender:
+ *                 type: string
+ *                 description: Comma separated, up to 20 values
+ *                 example: female,non-binary
+ *               ageRange:
+ *                 type: string
+ *                 description: min-max, between 18 and 100
+ *                 example: 25-35
+ *               interests:
+ *                 type: string
+ *                 description: Comma separated, up to 20 values
+ *                 example: music,hiking
+ *               radRange:
+ *                 type: string
+ *                 description: min-max in km, up to 20000. Measured from the coordinates passed to /users/getUsers, or the user's stored location when none are passed.
+ *                 example: 0-50
+ *     responses:
+ *       200:
+ *         description: Preferences saved. Returns the full saved set.
+ *       400:
+ *         description: A value is not in the expected format
+ *       402:
+ *         description: radRange goes past the free limit of 100 km. The response has feature set to extended_radius.
+ *       403:
+ *         description: The ID does not belong to the authenticated user
+ *       500:
+ *         description: Internal server error
+ */
+app.put(
+  "/users/setPreferences",
+  upload.none(),
+  authenticateToken,
+  authorizeUser("query", "id"),
+  async (req, res) => {
+    const { id } = req.query;
+
+    try {
+      const changes = validateDiscoveryFilters(req.body);
+      checkDiscoveryRadius(changes.radRange, await hasActiveSubscription(id));
+      const preferences = { ...(await loadDiscoveryPreferences(id)), ...changes };
+      const [minAge, maxAge] = preferences.ageRange ? preferences.ageRange.split("-") : [null, null];
+      const [minDistance, maxDistance] = preferences.radRange
+        ? preferences.radRange.split("-")
+        : [null, null];
+
+      await queryDb(
+        `INSERT INTO discovery_preferences
+           (user_id, gender, min_age, max_age, interests, min_distance, max_distance)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE gender = VALUES(gender), min_age = VALUES(min_age),
+           max_age = VALUES(max_age), interests = VALUES(interests),
+           min_distance = VALUES(min_distance), max_distance = VALUES(max_distance)`,
+        [id, preferences.gender, minAge, maxAge, preferences.interests, minDistance, maxDistance]
+      );
+
+      res
+        .status(200)
+        .json({ status: true, message: "Preferences saved successfully", preferences });
+    } catch (err) {
+      if (!err.status) {
+        console.error("Error saving preferences:", err);
+      }
+      res
+        .status(err.status || 500)
+        .json({ status: false, message: err.message, feature: err.feature });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /users/getUsers:
+ *   get:
+ *     summary: Get users based on filters
+ *     tags: [Users]
+ *     parameters:
+ *       - in: query
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID of the user making the request
+ *       - in: query
+ *         name: longitude
+ *         schema:
+ *           type: number
+ *         description: Longitude of the user's location
+ *       - in: query
+ *         name: latitude
+ *         schema:
+ *           type: number
+ *         description: Latitude of the user's location
+ *       - in: query
+ *         name: gender
+ *         schema:
+ *           type: string
+ *         description: Gender filter, can be multiple values separated by commas
+ *       - in: query
+ *         name: ageRange
+ *         schema:
+ *           type: string
+ *         description: Age range filter in the format minAge-maxAge
+ *       - in: query
+ *         name: interests
+ *         schema:
+ *           type: string
+ *         description: Interests filter, can be multiple values separated by commas
+ *       - in: query
+ *         name: radRange
+ *         schema:
+ *           type: string
+ *         description: Radius range filter in km, in the format minRange-maxRange. Measured from latitude and longitude, or the user's stored location when they are not given; ignored when neither is known.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *         description: Page size
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: The next value from the previous page. Send the same filters and location with it.
+ *     responses:
+ *       200:
+ *         description: A page of users matching the filters. Filters not given here fall back to the user's saved preferences (see /users/setPreferences). Each is scored 0-100 on shared interests (40), distance (30), fit with the age range (15) and recent activity (15). Without interests or ageRange the viewer's own interests and an age window around their own age are used; without coordinates their stored location is. Users come best match first, ties by id, and every page is scored as of the time of the first one. A user who comes online or goes offline while the viewer pages can still move up or down by the activity part of their score.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 hasMore:
+ *                   type: boolean
+ *                 next:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor for the next page
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       full_name:
+ *                         type: string
+ *                       contact:
+ *                         type: string
+ *                       gender:
+ *                         type: string
+ *                       bio:
+ *                         type: string
+ *                       date_of_birth:
+ *                         type: string
+ *                       interests:
+ *                         type: string
+ *                       latitude:
+ *                         type: number
+ *                       longitude:
+ *                         type: number
+ *                       education:
+ *                         type: string
+ *                       profile_pic_url:
+ *                         type: string
+ *                       avatar_url:
+ *                         type: string
+ *                       profile_images:
+ *                         type: string
+ *                       distance:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Distance in km, when both locations are known
+ *                       score:
+ *                         type: integer
+ *                         description: Compatibility score from 0 to 100
+ *                       shared_interests:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *       400:
+ *         description: A filter or the cursor is not in the expected format
+ *       402:
+ *         description: radRange goes past the free limit of 100 km (FREE_DISCOVERY_RADIUS_KM). The response has feature set to extended_radius. Without radRange, free users only see users within that limit and subscribers within 1000 km (DISCOVERY_DEFAULT_RADIUS_KM).
+ *       500:
+ *         description: Internal server error
+ */
+//searching based on filter, filters to be passed as parameters //Mat
+app.get(
+  "/users/getUsers",
+  authenticateToken,
+  authorizeUser("query", "id"),
+  async (req, res) => {
+    const { id, latitude, longitude, limit, cursor } = req.query;
+
+    // Saved preferences apply unless the request overrides them
+    let filters;
+    try {
+      filters = await resolveDiscoveryFilters(id, req.query);
+    } catch (err) {
+      return res
+        .status(err.status || 500)
+        .json({ status: false, message: err.message, feature: err.feature });
+    }
+    const { gender, ageRange, interests, radRange, maxRadius } = filters;
+
+    // Start with a base query
+    let query = `
+      SELECT * FROM users 
+      WHERE id != ? 
+      AND id NOT IN (
+        SELECT receiver_id FROM request WHERE sender_id = ? AND status = 'accepted'
+        UNION
+        SELECT sender_id FROM request WHERE receiver_id = ? AND status = 'accepted'
+        UNION
+        SELECT receiver_id FROM request WHERE sender_id = ? AND status = 'rejected'
+        UNION
+        SELECT sender_id FROM request WHERE receiver_id = ? AND status = 'rejected'
+        UNION
+        SELECT receiver_id FROM request WHERE sender_id = ? AND status = 'pending'
+        UNION
+        SELECT skipped_user_id FROM skip WHERE user_id = ? AND date > NOW() - INTERVAL ? DAY
+        UNION
+        SELECT blocked_id FROM blocks WHERE blocker_id = ?
+        UNION
+        SELECT blocker_id FROM blocks WHERE blocked_id = ?
+      )
+      AND status = 'ACTIVE' AND hidden = false
+    `;
+    let queryParams = [id, id, id, id, id, id, id, SKIP_EXPIRY_DAYS, id, id];
+
+    // Handle gender filter
+    if (gender) {
+      console.log("Gender was passed");
+      const genderArr = gender.split(",");
+      query += " AND (" + genderArr.map(() => "gender LIKE ?").join(" OR ") + ")";
+      queryParams = queryParams.concat(genderArr.map((g) => `%${g}%`));
+    }
+
+    // Handle age range filter
+    if (ageRange) {
+      const [minAge, maxAge] = ageRange.split("-").map(Number);
+      const minDob = new Date(
+        new Date().setFullYear(new Date().getFullYear() - maxAge)
+      );
+      const maxDob = new Date(
+        new Date().setFullYear(new Date().getFullYear() - minAge)
+      );
+      query += " AND date_of_birth BETWEEN ? AND ?";
+      queryParams.push(
+        minDob.toISOString().split("T")[0],
+        maxDob.toISOString().split("T")[0]
+      );
+    }
+
+    // Handle interests filter
+    if (interests) {
+      const interestsArray = interests.split(",");
+      query +=
+        " AND (" + interestsArray.map(() => "likes LIKE ?").join(" OR ") + ")";
+      queryParams = queryParams.concat(
+        interestsArray.map((interest) => `%${interest}%`)
+      );
+    }
+
+    // Execute the query
+    console.log(query);
+
+    try {
+      const viewers = await queryDb("SELECT * FROM users WHERE id = ?", [id]);
+      const viewer = viewers[0] || {};
+
+      // Distances are measured from the given location, or the viewer's own
+      const lat = parseFloat(latitude || viewer.latitude);
+      const lon = parseFloat(longitude || viewer.longitude);
+      const hasLocation = !isNaN(lat) && !isNaN(lon);
+
+      // Whenever there is a location the distance range applies, so the free
+      // radius cap holds even when the client sends no coordinates. A
+      // bounding box lets the location index do the rough cut before the
+      // exact distance is checked.
+      const filterByDistance = hasLocation;
+      const [minRange, maxRange] = radRange
+        ? radRange.split("-").map(parseFloat)
+        : [0, maxRadius];
+      if (filterByDistance) {
+        const latDelta = maxRange / KM_PER_DEGREE;
+        const lonDelta =
+          maxRange / (KM_PER_DEGREE * Math.max(Math.cos((lat * Math.PI) / 180), 0.01));
+        query += " AND latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?";
+        queryParams.push(lat - latDelta, lat + latDelta, lon - lonDelta, lon + lonDelta);
+      }
+
+      // Without explicit filters, rank by the viewer's own interests and an
+      // age window of five years either side of theirs
+      const viewerAge = ageFromDob(viewer.date_of_birth);
+      const preferences = {
+        interests: interests ? parseInterests(interests) : parseInterests(viewer.likes),
+        ageRange: ageRange
+          ? ageRange.split("-").map(Number)
+          : viewerAge != null
+          ? [viewerAge - 5, viewerAge + 5]
+          : null,
+      };
+
+      // Best match first, paged in SQL on (score, id). The cursor is the score
+      // and id of the last user on the previous page plus the time the first
+      // page was scored at, so every page is scored the same way.
+      const pageSize = Math.min(parseInt(limit, 10) || DISCOVERY_PAGE_LIMIT, DISCOVERY_PAGE_MAX);
+      const cursorParts = cursor ? String(cursor).split("_").map(Number) : null;
+      if (cursorParts && (cursorParts.length !== 3 || cursorParts.some((part) => !isFinite(part)))) {
+        return res.status(400).json({ status: false, message: "Invalid cursor" });
+      }
+      const asOf = cursorParts ? moment.unix(cursorParts[2]) : moment();
+      const score = compatibilityScoreSql(
+        "ranked",
+        preferences,
+        asOf.format("YYYY-MM-DD HH:mm:ss")
+      );
+
+      // Haversine in SQL, same formula as calculateDistance
+      const distanceColumn = hasLocation
+        ? `6371 * 2 * ASIN(SQRT(
+            POWER(SIN(RADIANS(candidates.latitude - ?) / 2), 2) +
+            COS(RADIANS(?)) * COS(RADIANS(candidates.latitude)) *
+            POWER(SIN(RADIANS(candidates.longitude - ?) / 2), 2)))`
+        : "NULL";
+      let candidatesQuery = `SELECT candidates.*, ${distanceColumn} AS distance FROM (${query}) candidates`;
+      const candidatesParams = hasLocation ? [lat, lat, lon, ...queryParams] : queryParams;
+      if (filterByDistance) {
+        candidatesQuery += " HAVING distance BETWEEN ? AND ?";
+        candidatesParams.push(minRange, maxRange);
+      }
+
+      let rankedQuery = `SELECT ranked.*, ${score.sql} AS score FROM (${candidatesQuery}) ranked`;
+      const rankedParams = [...score.params, ...candidatesParams];
+      if (cursorParts) {
+        rankedQuery += " HAVING score < ? OR (score = ? AND id > ?)";
+        rankedParams.push(cursorParts[0], cursorParts[0], cursorParts[1]);
+      }
+      // One extra row tells whether there is another page
+      rankedQuery += " ORDER BY score DESC, id ASC LIMIT ?";
+      rankedParams.push(pageSize + 1);
+
+      const rows = await queryDb(rankedQuery, rankedParams);
+      const hasMore = rows.length > pageSize;
+      const users = rows.slice(0, pageSize);
+      const last = users[users.length - 1];
+      const next = hasMore ? `${last.score}_${last.id}_${asOf.unix()}` : null;
+
+      users.forEach((user) => {
+        user.distance = user.distance == null ? null : Math.round(user.distance * 10) / 10;
+        user.score = Number(user.score);
+        user.shared_interests = sharedInterests(user, preferences.interests);
+      });
+
+      res.status(200).json({
+        status: true,
+        hasMore,
+        next,
+        users,
+      });
+    } catch (err) {
+      res.status(500).send(err.message);
+    }
+  }
+);
+
+// app.post(req, res);
+
+/**
+ * @swagger
+ * /users/allRequests:
+ *   get:
+ *     summary: Get all requests
+ *     tags: [Requests]
+ *     description: Admins get every request. Other users get the requests and likes they sent and the ones sent to them, except pending likes, which only /users/getLikes lists.
+ *     responses:
+ *       200:
+ *         description: A list of requests fetched successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   description: Indicates if the request was successful.
+ *                 message:
+ *                   type: string
+ *                   description: Message related to the status of the request.
+ *                 requests:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: The ID of the request.
+ *                       senderID:
+ *                         type: string
+ *                         description: The ID of the sender.
+ *                       receiverID:
+ *                         type: string
+ *                         description: The ID of the receiver.
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: The timestamp when the request was created.
+ *     security:
+ *       - apiKeyAuth: []
+ */
+
+//This is the get all Requests API
+// Admins see every request. Everyone else sees the ones they sent and the
+// ones sent to them, except pending likes: who liked you is premium
+// (/users/getLikes).
+app.get("/users/allRequests", authenticateToken, async (req, res) => {
+  try {
+    const callers = await queryDb("SELECT role FROM users WHERE id = ?", [req.user.id]);
+    const isAdmin = callers.length > 0 && callers[0].role === "admin";
+
+    const requests = isAdmin
+      ? await queryDb("SELECT * FROM request")
+      : await queryDb(
+          "SELECT * FROM request WHERE sender_id = ? OR (receiver_id = ? AND (kind = 'request' OR status != 'pending'))",
+          [req.user.id, req.user.id]
+        );
+
+    res.status(200).json({
+      status: true,
+      message: "Requests fetched successfully",
+      requests,
+    });
+  } catch (err) {
+    res.status(500).json({ status: false, message: err.message, requests: null });
+  }
+});
+
+/**
+ * @swagger
+ * /users/getRequests:
+ *   get:
+ *     summary: Get requests for a user
+ *     description: Retrieve requests for a specific user based on receiver ID and status. Likes from /users/likeUser are not included; see /users/getLikes.
+ *     tags: [Requests]
+ *     parameters:
+ *       - in: query
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Receiver ID to filter requests.
+ *     responses:
+ *       200:
+ *         description: A list of requests fetched successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   description: Indicates if the request was successful.
+ *                 message:
+ *                   type: string
+ *                   description: Message related to the status of the request.
+ *                 requests:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: The ID of the request.
+ *                       senderID:
+ *                         type: string
+ *                         description: The ID of the sender.
+ *                       receiverID:
+ *                         type: string
+ *                         description: The ID of the receiver.
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: The timestamp when the request was created.
+ *     security:
+ *       - apiKeyAuth: []
+ */
+//This is the get Request API for a user
+app.get(
+  "/users/getRequests",
+  authenticateToken,
+  authorizeUser("query", "id"),
+  async (req, res) => {
+    const { id } = req.query;
+
+    let query = "SELECT * FROM request WHERE receiver_id = ? AND kind = 'request' ";
+    let queryParams = [id];
+
+    query += " AND status = ? ";
+    queryParams.push("pending");
+
+    db.query(query, queryParams, (err, result) => {
+      if (err) {
+        return res
+          .status(500)
+          .json({ status: false, message: err.message, requests: null });
+      }
+
+      let requests = result.map((myRequest) => {
+        return myRequest;
+      });
+
+      res.status(200).json({
+        status: true,
+        message: "Requests fetched successfully",
+        requests,
+      });
+    });
+  }
+);
+/**
+ * @swagger
+ * /users/getFriendList:
+ *   get:
+ *     summary: Get the friend list of a user
+ *     description: Fetches the list of friends (user entities) for a given user based on their user ID. Only accepted friend requests are included in the list.
+ *     tags: [Requests]
+ *     parameters:
+ *       - in: query
+ *         name: id
+ *         required: true
+ *         description: The ID of the user whose friend list is to be fetched
+ *         schema:
+ *           type: string
+ *           example: 123
+ *     responses:
+ *       200:
+ *         description: Successfully fetched the friend list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Friend List fetched successfully
+ *                 list:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         example: 456
+ *                       name:
+ *                         type: string
+ *                         example: John Doe
+ *                       email:
+ *                         type: string
+ *                         example: john.doe@example.com
+ *                       contact:
+ *                         type: string
+ *                         example: 1234567890
+ *                       gender:
+ *                         type: string
+ *                         example: male
+ *                       dob:
+ *                         type: string
+ *                         example: 1990-01-01
+ *                       bio:
+ *                         type: string
+ *                         example: "Hello, I'm John!"
+ *                       interests:
+ *                         type: string
+ *                         example: "Reading, Traveling"
+ *                       online_status:
+ *                         type: string
+ *                         enum: [ONLINE, OFFLINE]
+ *                         description: Whether the friend has a WebSocket connection open
+ *                       last_seen:
+ *                         type: string
+ *                         format: date-time
+ *                         description: When the friend last connected or disconnected
+ *       400:
+ *         description: Missing or invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: Missing or invalid parameters
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: An error occurred while fetching the friend list
+ */
+
+//Get Friend Lists
+app.get(
+  "/users/getFriendList",
+  authenticateToken,
+  authorizeUser("query", "id"),
+  async (req, res) => {
+    const { id } = req.query;
+
+    let query = `
+      SELECT DISTINCT u.*
+      FROM request r
+      JOIN users u ON (r.sender_id = u.id AND r.receiver_id = ?) OR (r.receiver_id = u.id AND r.sender_id = ?)
+      WHERE r.status = ?
+    `;
+    let queryParams = [id, id, "accepted"];
+
+    db.query(query, queryParams, (err, result) => {
+      if (err) {
+        return res
+          .status(500)
+          .json({ status: false, message: err.message, list: null });
+      }
+
+      let requests = result.map((myRequest) => {
+        myRequest.latitude = parseFloat(myRequest.latitude);
+        myRequest.longitude = parseFloat(myRequest.longitude);
+
+        return myRequest;
+      });
+
+      res.status(200).json({
+        status: true,
+        message: "Friend List fetched successfully",
+        list: requests,
+      });
+    });
+  }
+);
+
+// POST APIs
+/**
+ * @swagger
+ * /users/signup:
+ *   post:
+ *     summary: Sign up a new user
+ *     tags: [Users]
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               contact:
+ *                 type: string
+ *               gender:
+ *                 type: string
+ *               bio:
+ *                 type: string
+ *               dob:
+ *                 type: string
+ *               interests:
+ *                 type: string
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *               education:
+ *                 type: string
+ *               profile_pic:
+ *                 type: string
+ *                 format: binary
+ *               avatar_image:
+ *                 type: string
+ *                 format: binary
+ *               profile_images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               document_url:
+ *                 type: string
+ *                 format: binary
+ *               deviceId:
+ *                 type: string
+ *                 description: Identifies the device the session is created for
+ *               signupToken:
+ *                 type: string
+ *                 description: Required. From /auth/otp/verify for this contact (request the OTP with purpose signup)
+ *     responses:
+ *       201:
+ *         description: User signed up successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *       401:
+ *         description: signupToken is missing, invalid or expired
+ *       403:
+ *         description: signupToken was issued for a different contact
+ *       409:
+ *         description: A user with this contact already exists
+ */
+app.post(
+  "/users/signup",
+  upload.fields([
+    { name: "profile_pic", maxCount: 1 },
+    { name: "avatar_image", maxCount: 1 },
+    { name: "profile_images", maxCount: 10 },
+    { name: "document_url", maxCount: 1 },
+  ]),
+  validateSignup,
+  async (req, res) => {
+    const {
+      name,
+      contact,
+      gender,
+      bio,
+      dob,
+      interests,
+      latitude,
+      longitude,
+      education,
+    } = req.body;
+    const interestsList = interests.split(","); // Convert interests to an array
+
+    // Only a contact that just passed OTP verification can sign up
+    const verifiedContact = verifySignupToken(req.body.signupToken);
+    if (!verifiedContact) {
+      return res.status(401).json({
+        status: false,
+        message: "Verify the contact with an OTP before signing up",
+        user: null,
+      });
+    }
+    if (verifiedContact !== contact) {
+      return res.status(403).json({
+        status: false,
+        message: "signupToken was issued for a different contact",
+        user: null,
+      });
+    }
+
+    try {
+      const profilePicUrl = req.files.profile_pic
+        ? await uploadToCloudinary(req.files.profile_pic[0], "profile_pics")
+        : null;
+      const avatarImageUrl = req.files.avatar_image
+        ? await uploadToCloudinary(req.files.avatar_image[0], "avatar_images")
+        : null;
+      const documentURl = req.files.document_url
+        ? await uploadToCloudinary(req.files.document_url[0], "document_urls")
+        : null;
+
+      const profileImageUrls = req.files.profile_images
+        ? await Promise.all(
+            req.files.profile_images.map((file) =>
+              uploadToCloudinary(file, "profile_images")
+            )
+          )
+        : [];
+
+      const user = {
+        full_name: name,
+        contact: contact,
+        gender: gender,
+        bio: bio,
+        date_of_birth: dob,
+        likes: JSON.stringify(interestsList),
+        latitude: parseFloat(latitude),
+        longitude: parseFloat(longitude),
+        profile_pic_url: profilePicUrl,
+        avatar_url: avatarImageUrl,
+        profile_images: JSON.stringify(profileImageUrls),
+        document_url: documentURl,
+        education: education,
+        status: "ACTIVE",
+        subscribed: false,
+        subscription_expiry: null,
+      };
+
+      db.query("INSERT INTO users SET ?", user, async (err, result) => {
+        if (err && err.code === "ER_DUP_ENTRY") {
+          return res
+            .status(409)
+            .json({ status: false, message: "User already exists", user: null });
+        }
+        if (err) {
+          return res
+            .status(500)
+            .json({ status: false, message: err.message, user: null });
+        }
+
+        try {
+          const { token, refreshToken, expiresIn } = await createSession(
+            { id: result.insertId, contact: contact },
+            req.body.deviceId
+          );
+
+          res.status(201).json({
+            status: true,
+            message: "User signed up successfully",
+            user: {
+              id: result.insertId,
+              ...user,
+              likes: interestsList, // Return interests as an array
+              profile_images: profileImageUrls, // Return profile_images as an array
+              token: token,
+              refreshToken: refreshToken,
+              expiresIn: expiresIn,
+            },
+          });
+        } catch (error) {
+          res
+            .status(500)
+            .json({ status: false, message: error.message, user: null });
+        }
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ status: false, message: error.message, user: null });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /users/sendRequest:
+ *   post:
+ *     summary: Send a request
+ *     tags: [Requests]
+ *     description: Create a new request with sender and receiver IDs.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               senderID:
+ *                 type: string
+ *                 description: The ID of the sender.
+ *               receiverID:
+ *                 type: string
+ *                 description: The ID of the receiver.
+ *     responses:
+ *       201:
+ *         description: Request sent successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   description: Indicates if the request was successfully sent.
+ *                 message:
+ *                   type: string
+ *                   description: Message indicating the success of the request.
+ *       402:
+ *         description: Requests share the free daily allowance with likes (FREE_DAILY_LIKES). The response has feature set to unlimited_likes.
+ *       403:
+ *         description: The ID does not belong to the authenticated user, or one of the users has blocked the other
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: You are not allowed to act on behalf of another user
+ *       409:
+ *         description: The receiver already has a request from the sender
+ *       500:
+ *         description: Internal server error occurred.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   description: Indicates if an error occurred.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue.
+ *                 sendingRequest:
+ *                   type: object
+ *                   description: The request object that failed to send.
+ *     security:
+ *       - apiKeyAuth: []
+ */
+
+//This is the send Request API
+app.post(
+  "/users/sendRequest",
+  upload.none(),
+  authenticateToken,
+  authorizeUser("body", "senderID"),
+  async (req, res) => {
+    const { senderID, receiverID } = req.body;
+
+    try {
+      if (await isBlocked(senderID, receiverID)) {
+        return res.status(403).json({
+          status: false,
+          message: "You cannot send a request to this user",
+          sendingRequest: null,
+        });
+      }
+      await checkDailyLikes(senderID);
+    } catch (err) {
+      return res.status(err.status || 500).json({
+        status: false,
+        message: err.message,
+        feature: err.feature,
+        sendingRequest: null,
+      });
+    }
+
+    const sendingRequest = {
+      sender_id: senderID,
+      receiver_id: receiverID,
+      status: "pending",
+    };
+
+    db.query("INSERT INTO request SET ?", sendingRequest, (err, result) => {
+      if (err && err.code === "ER_DUP_ENTRY") {
+        return res.status(409).json({
+          status: false,
+          message: "You have already sent this user a request",
+          sendingRequest: null,
+        });
+      }
+      if (err) {
+        return res
+          .status(500)
+          .json({ status: false, message: err.message, sendingRequest: null });
+      }
+      res.status(201).json({
+        status: true,
+        message: "Request sent Successfully",
+      });
+    });
+  }
+);
+
+// PUT APIs
+/**
+ * @swagger
+ * /users/editUser/{id}:
+ *   put:
+ *     summary: Edit user by ID
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The user ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               contact:
+ *                 type: string
+ *                 description: A new contact needs contactToken
+ *               contactToken:
+ *                 type: string
+ *                 description: The signupToken /auth/otp/verify returned for the new contact (request the OTP with purpose signup)
+ *               gender:
+ *                 type: string
+ *               bio:
+ *                 type: string
+ *               dob:
+ *                 type: string
+ *               interests:
+ *                 type: string
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *               education:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User edited successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *       403:
+ *         description: The ID does not belong to the authenticated user, or contact was changed without a contactToken for it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: You are not allowed to act on behalf of another user
+ *       409:
+ *         description: Another user already has the new contact
+ */
+
+app.put(
+  "/users/editUser/:id",
+  upload.fields([
+    { name: "profile_pic", maxCount: 1 },
+    { name: "avatar_image", maxCount: 1 },
+    { name: "profile_images", maxCount: 10 },
+  ]),
+  authenticateToken,
+  authorizeUser("params", "id"),
+  async (req, res) => {
+    const id = req.params.id;
+    const {
+      name,
+      contact,
+      gender,
+      bio,
+      dob,
+      interests,
+      latitude,
+      longitude,
+      education,
+    } = req.body;
+    const interestsList = interests ? interests.split(",") : []; // Convert interests to an array
+
+    // Collect the fields to update
+    let updates = [];
+    let queryParams = [];
+
+    if (name) {
+      updates.push("full_name = ?");
+      queryParams.push(name);
+    }
+    // The contact is the login identity, so a new one must pass OTP
+    // verification first
+    if (contact && contact !== req.user.contact) {
+      if (verifySignupToken(req.body.contactToken) !== contact) {
+        return res.status(403).json({
+          status: false,
+          message: "Verify the new contact with an OTP before changing it",
+        });
+      }
+      updates.push("contact = ?");
+      queryParams.push(contact);
+    }
+    if (dob) {
+      updates.push("date_of_birth = ?");
+      queryParams.push(dob);
+    }
+    if (bio) {
+      updates.push("bio = ?");
+      queryParams.push(bio);
+    }
+    if (gender) {
+      updates.push("gender = ?");
+      queryParams.push(gender);
+    }
+    if (education) {
+      updates.push("education = ?");
+      queryParams.push(education);
+    }
+    if (interests) {
+      updates.push("likes = ?");
+      queryParams.push(interestsList.join(",")); // Convert back to string for storage
+    }
+    if (longitude) {
+      updates.push("longitude = ?");
+      queryParams.push(longitude);
+    }
+    if (latitude) {
+      updates.push("latitude = ?");
+      queryParams.push(latitude);
+    }
+
+    if (
+      req.files &&
+      req.files["profile_pic"] &&
+      req.files["profile_pic"].length > 0
+    ) {
+      const profilePicUrl = await uploadToCloudinary(
+        req.files.profile_pic[0],
+        "profile_pics"
+      );
+      updates.push("profile_pic_url = ?");
+      queryParams.push(profilePicUrl);
+    }
+
+    if (
+      req.files &&
+      req.files["avatar_image"] &&
+      req.files["avatar_image"].length > 0
+    ) {
+      const avatarImageUrl = await uploadToCloudinary(
+        req.files.avatar_image[0],
+        "avatar_images"
+      );
+      updates.push("avatar_url = ?");
+      queryParams.push(avatarImageUrl);
+    }
+
+    if (
+      req.files &&
+      req.files["profile_images"] &&
+      req.files["profile_images"].length > 0
+    ) {
+      const profileImageUrls = await Promise.all(
+        req.files.profile_images.map((file) =>
+          uploadToCloudinary(file, "profile_images")
+        )
+      );
+
+      updates.push("profile_images = ?");
+      queryParams.push(JSON.stringify(profileImageUrls)); // Store as JSON string
+    }
+
+    // If there are no fields to update, return a specific message
+    if (updates.length === 0) {
+      return res
+        .status(200)
+        .json({ status: false, message: "Nothing to update" });
+    }
+
+    const query = `UPDATE users SET ${updates.join(", ")} WHERE id = ?`;
+    queryParams.push(id);
+
+    // Execute the query
+    db.query(query, queryParams, function (err, result) {
+      if (err && err.code === "ER_DUP_ENTRY") {
+        return res
+          .status(409)
+          .json({ status: false, message: "Contact is already in use" });
+      }
+      if (err) {
+        return res.status(500).send(err.message);
+      }
+
+      // Check if any rows were affected
+      if (result.affectedRows === 0) {
+        return res.status(404).send("User not found");
+      }
+
+      // Fetch and return the updated user entity
+      db.query("SELECT * FROM users WHERE id = ?", [id], (err, rows) => {
+        if (err) {
+          return res.status(500).json({ status: false, error: err.message });
+        }
+
+        let retUser = rows[0];
+
+        retUser.longitude = parseFloat(retUser.longitude);
+        retUser.latitude = parseFloat(retUser.latitude);
+        res.status(200).json({ status: true, user: retUser });
+      });
+    });
+  }
+);
+
+/**
+ * @swagger
+ * /users/acceptRequest:
+ *   put:
+ *     summary: Accept a friend request
+ *     description: Accepts a friend request by updating the status to 'accepted' for the specified sender and receiver IDs.
+ *     tags: [Requests]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               receiverID:
  *                 type: string
- *               bio:
+ *                 description: The ID of the user receiving the friend request
+ *                 example: 789
+ *               senderID:
  *                 type: string
- *               dob:
+ *                 description: The ID of the user sending the friend request
+ *                 example: 456
+ *     responses:
+ *       200:
+ *         description: Successfully accepted the friend request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Request Accepted Successfully
+ *       400:
+ *         description: Missing or invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: Missing or invalid parameters
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: An error occurred while accepting the request
+ */
+
+//This is the accept Request API for a user
+app.put(
+  "/users/acceptRequest",
+  upload.none(),
+  authenticateToken,
+  authorizeUser("body", "receiverID"),
+  async (req, res) => {
+    const { receiverID, senderID } = req.body;
+
+    const updates = ["status = ?"];
+    const queryParams = ["accepted"];
+
+    // Only a pending request sent to the caller can be answered
+    const query = `UPDATE request SET ${updates.join(
+      ", "
+    )} WHERE sender_id = ? AND receiver_id = ? AND status = 'pending'`;
+    queryParams.push(senderID, receiverID);
+
+    // let query='SELECT * FROM request WHERE receiver_id = ? ';
+    // let queryParams=[id];
+
+    db.query(query, queryParams, (err, result) => {
+      if (err) {
+        return res.status(500).send(err.message);
+      }
+
+      // Check if any rows were affected
+      if (result.affectedRows === 0) {
+        return res.status(404).send("User not found");
+      }
+
+      res
+        .status(200)
+        .json({ status: true, message: "Request Accepted Successfully" });
+    });
+  }
+);
+
+/**
+ * @swagger
+ * /users/rejectRequest:
+ *   put:
+ *     summary: Reject a friend request
+ *     description: Rejects a friend request by updating the status to 'accepted' for the specified sender and receiver IDs.
+ *     tags: [Requests]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               receiverID:
  *                 type: string
- *               interests:
+ *                 description: The ID of the user receiving the friend request
+ *                 example: 789
+ *               senderID:
  *                 type: string
- *               latitude:
- *                 type: number
- *               longitude:
- *                 type: number
- *               education:
+ *                 description: The ID of the user sending the friend request
+ *                 example: 456
+ *     responses:
+ *       200:
+ *         description: Successfully rejected the friend request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Request Rejected Successfully
+ *       400:
+ *         description: Missing or invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: Missing or invalid parameters
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: An error occurred while accepting the request
+ */
+
+//This is the reject Request API for a user
+app.put(
+  "/users/rejectRequest",
+  upload.none(),
+  authenticateToken,
+  authorizeUser("body", "receiverID"),
+  async (req, res) => {
+    const { receiverID, senderID } = req.body;
+
+    const updates = ["status = ?"];
+    const queryParams = ["rejected"];
+
+    // Only a pending request sent to the caller can be answered
+    const query = `UPDATE request SET ${updates.join(
+      ", "
+    )} WHERE sender_id = ? AND receiver_id = ? AND status = 'pending'`;
+    queryParams.push(senderID, receiverID);
+
+    // let query='SELECT * FROM request WHERE receiver_id = ? ';
+    // let queryParams=[id];
+
+    db.query(query, queryParams, (err, result) => {
+      if (err) {
+        return res.status(500).send(err.message);
+      }
+
+      // Check if any rows were affected
+      if (result.affectedRows === 0) {
+        return res.status(404).send("User not found");
+      }
+
+      res
+        .status(200)
+        .json({ status: true, message: "Request Rejected Successfully" });
+    });
+  }
+);
+
+/**
+ * @swagger
+ * /users/removeFriend:
+ *   put:
+ *     summary: Remove a friend
+ *     description: Removes a friend by updating the status to 'rejected' for the specified sender and receiver IDs.
+ *     tags: [Requests]
+ *     parameters:
+ *       - in: query
+ *         name: id
+ *         required: true
+ *         description: The ID of the user who is removing the friend
+ *         schema:
+ *           type: string
+ *           example: 123
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               friendID:
  *                 type: string
+ *                 description: The ID of the friend being removed
+ *                 example: 456
+ *     responses:
+ *       200:
+ *         description: Successfully removed the friend
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Friend Removed Successfully
+ *       404:
+ *         description: User not found
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: User not found
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: Internal Server Error
+ */
+
+//API for removing friend
+app.put(
+  "/users/removeFriend",
+  upload.none(),
+  authenticateToken,
+  authorizeUser("query", "id"),
+  async (req, res) => {
+    const { id } = req.query;
+    const { friendID } = req.body;
+
+    console.log(friendID);
+
+    const updates = ["status = ?"];
+    let queryParams = ["rejected"];
+
+    const query = `UPDATE request SET ${updates.join(
+      ", "
+    )} WHERE ((sender_id = ? AND receiver_id = ?) OR (sender_id = ? AND receiver_id = ?))
+      AND status = ?`;
+    queryParams.push(friendID, id, id, friendID, "accepted");
+
+    db.query(query, queryParams, (err, result) => {
+      if (err) {
+        return res.status(500).send(err.message);
+      }
+
+      // Check if any rows were affected
+      if (result.affectedRows === 0) {
+        return res.status(404).send("User not found");
+      }
+
+      res
+        .status(200)
+        .json({ status: true, message: "Friend Removed Successfully" });
+    });
+  }
+);
+
+// DELETE APIs
+/**
+ * @swagger
+ * /dropTable/{tableName}:
+ *   delete:
+ *     summary: Drop a specific table
+ *     tags: [Database]
+ *     parameters:
+ *       - in: path
+ *         name: tableName
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The name of the table to drop
+ *     responses:
+ *       200:
+ *         description: Table dropped successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ */
+/**
+ * @swagger
+ * /dropTable:
+ *   delete:
+ *     summary: Drop all tables
+ *     description: Admins only.
+ *     tags: [Database]
+ *     responses:
+ *       200:
+ *         description: All tables dropped successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ */
+app.delete("/dropTable/:tableName?", authenticateToken, requireAdmin, (req, res) => {
+  const { tableName } = req.params;
+
+  if (tableName) {
+    // Drop a specific table
+    const dropTableQuery = `DROP TABLE IF EXISTS \`${tableName}\``;
+
+    db.query(dropTableQuery, (err, result) => {
+      if (err) {
+        if (
+          err.code === "ER_ROW_IS_REFERENCED_2" ||
+          err.code === "ER_ROW_IS_REFERENCED"
+        ) {
+          return res.status(400).json({
+            status: false,
+            message: `Cannot drop table '${tableName}' referenced by a foreign key constraint.`,
+          });
+        }
+        return res.status(500).json({ status: false, message: err.message });
+      }
+      res.status(200).json({
+        status: true,
+        message: `Table ${tableName} dropped successfully`,
+      });
+    });
+  } else {
+    // Drop all tables
+    const getAllTablesQuery = `SHOW TABLES`;
+
+    db.query(getAllTablesQuery, (err, tables) => {
+      if (err) {
+        return res.status(500).json({ status: false, message: err.message });
+      }
+
+      const dropTablePromises = tables.map((table) => {
+        const tableName = table[`Tables_in_${db.config.database}`];
+        const dropTableQuery = `DROP TABLE IF EXISTS \`${tableName}\``;
+
+        return new Promise((resolve, reject) => {
+          db.query(dropTableQuery, (err, result) => {
+            if (err) {
+              if (
+                err.code === "ER_ROW_IS_REFERENCED_2" ||
+                err.code === "ER_ROW_IS_REFERENCED"
+              ) {
+                resolve(
+                  `Cannot drop table '${tableName}' referenced by a foreign key constraint.`
+                );
+              } else {
+                reject(err);
+              }
+            } else {
+              resolve(`Table ${tableName} dropped successfully`);
+            }
+          });
+        });
+      });
+
+      Promise.all(dropTablePromises)
+        .then((messages) =>
+          res.status(200).json({ status: true, message: messages.join(", ") })
+        )
+        .catch((err) =>
+          res.status(500).json({ status: false, message: err.message })
+        );
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /deleteAllData/{tableName}:
+ *   delete:
+ *     summary: Delete all data from a table
+ *     description: Admins only.
+ *     tags: [Database]
+ *     parameters:
+ *       - in: path
+ *         name: tableName
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The table name
+ *     responses:
+ *       200:
+ *         description: All data from table deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *       403:
+ *         description: Admin access required
+ */
+app.delete("/deleteAllData/:tableName", authenticateToken, requireAdmin, (req, res) => {
+  const { tableName } = req.params;
+  const deleteAllDataQuery = `DELETE FROM \`${tableName}\``;
+
+  db.query(deleteAllDataQuery, (err, result) => {
+    if (err) {
+      return res.status(500).json({ status: false, message: err.message });
+    }
+    res.status(200).json({
+      status: true,
+      message: `All data from table ${tableName} deleted successfully`,
+    });
+  });
+});
+
+/**
+ * @swagger
+ * /users/removeUser:
+ *   put:
+ *     summary: Remove a user
+ *     description: Removes a user by updating their status to 'NON_ACTIVE' for the specified user ID.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: query
+ *         name: id
+ *         required: true
+ *         description: The ID of the user to be removed
+ *         schema:
+ *           type: string
+ *           example: 123
  *     responses:
  *       200:
- *         description: User edited successfully
+ *         description: Successfully removed the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: User Removed Successfully
+ *       404:
+ *         description: User not found
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: User not found
+ *       403:
+ *         description: The ID does not belong to the authenticated user
  *         content:
  *           application/json:
  *             schema:
  *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: You are not allowed to act on behalf of another user
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: Internal Server Error
  */
 
+//API for removing friend
 app.put(
-  "/users/editUser/:id",
-  upload.fields([
-    { name: "profile_pic", maxCount: 1 },
-    { name: "avatar_image", maxCount: 1 },
-    { name: "profile_images", maxCount: 10 },
-  ]),
+  "/users/removeUser",
   authenticateToken,
+  authorizeUser("query", "id"),
   async (req, res) => {
-    const id = req.params.id;
-    const {
-      name,
-      contact,
-      gender,
-      bio,
-      dob,
-      interests,
-      latitude,
-      longitude,
-      education,
-    } = req.body;
-    const interestsList = interests ? interests.split(",") : []; // Convert interests to an array
-
-    // Collect the fields to update
-    let updates = [];
-    let queryParams = [];
-
-    if (name) {
-      updates.push("full_name = ?");
-      queryParams.push(name);
-    }
-    if (contact) {
-      updates.push("contact = ?");
-      queryParams.push(contact);
-    }
-    if (dob) {
-      updates.push("date_of_birth = ?");
-      queryParams.push(dob);
-    }
-    if (bio) {
-      updates.push("bio = ?");
-      queryParams.push(bio);
-    }
-    if (gender) {
-      updates.push("gender = ?");
-      queryParams.push(gender);
-    }
-    if (education) {
-      updates.push("education = ?");
-      queryParams.push(education);
-    }
-    if (interests) {
-      updates.push("likes = ?");
-      queryParams.push(interestsList.join(",")); // Convert back to string for storage
-    }
-    if (longitude) {
-      updates.push("longitude = ?");
-      queryParams.push(longitude);
-    }
-    if (latitude) {
-      updates.push("latitude = ?");
-      queryParams.push(latitude);
-    }
-
-    if (
-      req.files &&
-      req.files["profile_pic"] &&
-      req.files["profile_pic"].length > 0
-    ) {
-      const profilePicUrl = await uploadToCloudinary(
-        req.files.profile_pic[0],
-        "profile_pics"
-      );
-      updates.push("profile_pic_url = ?");
-      queryParams.push(profilePicUrl);
-    }
-
-    if (
-      req.files &&
-      req.files["avatar_image"] &&
-      req.files["avatar_image"].length > 0
-    ) {
-      const avatarImageUrl = await uploadToCloudinary(
-        req.files.avatar_image[0],
-        "avatar_images"
-      );
-      updates.push("avatar_url = ?");
-      queryParams.push(avatarImageUrl);
-    }
-
-    if (
-      req.files &&
-      req.files["profile_images"] &&
-      req.files["profile_images"].length > 0
-    ) {
-      const profileImageUrls = await Promise.all(
-        req.files.profile_images.map((file) =>
-          uploadToCloudinary(file, "profile_images")
-        )
-      );
-
-      updates.push("profile_images = ?");
-      queryParams.push(JSON.stringify(profileImageUrls)); // Store as JSON string
-    }
+    const { id } = req.query;
 
-    // If there are no fields to update, return a specific message
-    if (updates.length === 0) {
-      return res
-        .status(200)
-        .json({ status: false, message: "Nothing to update" });
-    }
+    const updates = ["status = ?"];
+    let queryParams = ["NON_ACTIVE"];
 
     const query = `UPDATE users SET ${updates.join(", ")} WHERE id = ?`;
     queryParams.push(id);
 
-    // Execute the query
-    db.query(query, queryParams, function (err, result) {
+    db.query(query, queryParams, (err, result) => {
       if (err) {
         return res.status(500).send(err.message);
       }
@@ -1492,47 +5182,109 @@ app.put(
         return res.status(404).send("User not found");
       }
 
-      // Fetch and return the updated user entity
-      db.query("SELECT * FROM users WHERE id = ?", [id], (err, rows) => {
-        if (err) {
-          return res.status(500).json({ status: false, error: err.message });
-        }
-
-        let retUser = rows[0];
-
-        retUser.longitude = parseFloat(retUser.longitude);
-        retUser.latitude = parseFloat(retUser.latitude);
-        res.status(200).json({ status: true, user: retUser });
-      });
+      res
+        .status(200)
+        .json({ status: true, message: "User Removed Successfully" });
     });
   }
 );
 
+// Free users can ask FREE_DAILY_LIKES new people a day to match. A request
+// gets liked back just like a like does, so both kinds count.
+const checkDailyLikes = async (userID) => {
+  if (await hasActiveSubscription(userID)) {
+    return;
+  }
+  const today = await queryDb(
+    "SELECT COUNT(*) AS likes FROM request WHERE sender_id = ? AND request_date >= CURDATE()",
+    [userID]
+  );
+  if (today[0].likes >= FREE_DAILY_LIKES) {
+    throw paymentRequired("unlimited_likes");
+  }
+};
+
+// A like is a pending request. Liking someone who already liked you accepts
+// their request, which makes the pair friends, and tells both of them.
+const likeUser = async (userID, likedUserID) => {
+  if (String(userID) === String(likedUserID)) {
+    throw httpError(400, "You cannot like yourself");
+  }
+  const users = await queryDb(
+    "SELECT id, full_name, profile_pic_url, avatar_url FROM users WHERE id IN (?) AND status = 'ACTIVE'",
+    [[userID, likedUserID]]
+  );
+  const liked = users.find((user) => String(user.id) === String(likedUserID));
+  if (!liked) {
+    throw httpError(404, "User not found");
+  }
+  if (await isBlocked(userID, likedUserID)) {
+    throw httpError(403, "You cannot like this user");
+  }
+
+  const existing = await queryDb(
+    "SELECT sender_id, status FROM request WHERE (sender_id = ? AND receiver_id = ?) OR (sender_id = ? AND receiver_id = ?)",
+    [userID, likedUserID, likedUserID, userID]
+  );
+  if (existing.some((request) => request.status === "accepted")) {
+    throw httpError(409, "You are already matched with this user");
+  }
+  if (existing.some((request) => request.status === "rejected")) {
+    throw httpError(409, "This connection was declined");
+  }
+
+  const likedBack = existing.some((request) => String(request.sender_id) === String(likedUserID));
+  if (!likedBack) {
+    // Liking back always works; new likes are rationed without a subscription
+    if (existing.length === 0) {
+      await checkDailyLikes(userID);
+    }
+    await queryDb(
+      "INSERT IGNORE INTO request (sender_id, receiver_id, status, kind) VALUES (?, ?, 'pending', 'like')",
+      [userID, likedUserID]
+    );
+    return { matched: false };
+  }
+
+  await queryDb(
+    "UPDATE request SET status = 'accepted' WHERE sender_id = ? AND receiver_id = ? AND status = 'pending'",
+    [likedUserID, userID]
+  );
+  const matchedAt = moment().format("YYYY-MM-DD HH:mm:ss");
+  const user = users.find((row) => String(row.id) === String(userID));
+  sendToUser(userID, { cmd: "match", user: liked, matched_at: matchedAt });
+  sendToUser(likedUserID, { cmd: "match", user, matched_at: matchedAt });
+  return { matched: true, user: liked, matched_at: matchedAt };
+};
+
 /**
  * @swagger
- * /users/acceptRequest:
- *   put:
- *     summary: Accept a friend request
- *     description: Accepts a friend request by updating the status to 'accepted' for the specified sender and receiver IDs.
+ * /users/likeUser:
+ *   post:
+ *     summary: Like a user
+ *     description: Swipe-style alternative to sendRequest/acceptRequest. If the other user has already liked back, the two are matched straight away, both get a "match" event over the WebSocket and each appears in the other's friend list. Otherwise the like waits as a pending request.
  *     tags: [Requests]
  *     requestBody:
  *       required: true
  *       content:
- *         application/json:
+ *         application/x-www-form-urlencoded:
  *           schema:
  *             type: object
+ *             required:
+ *               - user_id
+ *               - liked_user_id
  *             properties:
- *               receiverID:
- *                 type: string
- *                 description: The ID of the user receiving the friend request
- *                 example: 789
- *               senderID:
- *                 type: string
- *                 description: The ID of the user sending the friend request
- *                 example: 456
+ *               user_id:
+ *                 type: integer
+ *                 description: The ID of the user who likes
+ *                 example: 1
+ *               liked_user_id:
+ *                 type: integer
+ *                 description: The ID of the user being liked
+ *                 example: 2
  *     responses:
  *       200:
- *         description: Successfully accepted the friend request
+ *         description: Like recorded. matched tells whether it completed a match.
  *         content:
  *           application/json:
  *             schema:
@@ -1543,22 +5295,76 @@ app.put(
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: Request Accepted Successfully
- *       400:
- *         description: Missing or invalid parameters
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
+ *                   example: It's a match
+ *                 matched:
  *                   type: boolean
- *                   example: false
- *                 message:
+ *                 user:
+ *                   type: object
+ *                   description: The matched user, only when matched is true
+ *                 matched_at:
  *                   type: string
- *                   example: Missing or invalid parameters
+ *                   format: date-time
+ *       400:
+ *         description: Missing IDs or liking yourself
+ *       402:
+ *         description: Free users can send 20 new likes or requests a day (FREE_DAILY_LIKES). The response has feature set to unlimited_likes.
+ *       403:
+ *         description: The ID does not belong to the authenticated user, or one of the users has blocked the other
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Already matched, or the connection was declined before
  *       500:
  *         description: Internal server error
+ */
+app.post(
+  "/users/likeUser",
+  upload.none(),
+  authenticateToken,
+  authorizeUser("body", "user_id"),
+  async (req, res) => {
+    const { user_id, liked_user_id } = req.body;
+
+    if (!liked_user_id) {
+      return res
+        .status(400)
+        .json({ status: false, message: "liked_user_id is required" });
+    }
+
+    try {
+      const like = await likeUser(user_id, liked_user_id);
+      res.status(200).json({
+        status: true,
+        message: like.matched ? "It's a match" : "User liked successfully",
+        ...like,
+      });
+    } catch (err) {
+      if (!err.status) {
+        console.error("Error liking user:", err);
+      }
+      res
+        .status(err.status || 500)
+        .json({ status: false, message: err.message, feature: err.feature });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /users/getLikes:
+ *   get:
+ *     summary: See who liked you
+ *     description: Premium only. Users whose like is still waiting for a like back, most recent first.
+ *     tags: [Requests]
+ *     parameters:
+ *       - in: query
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The users who liked you
  *         content:
  *           application/json:
  *             schema:
@@ -1566,89 +5372,102 @@ app.put(
  *               properties:
  *                 status:
  *                   type: boolean
- *                   example: false
- *                 message:
- *                   type: string
- *                   example: An error occurred while accepting the request
+ *                   example: true
+ *                 list:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       full_name:
+ *                         type: string
+ *                       profile_pic_url:
+ *                         type: string
+ *                       liked_at:
+ *                         type: string
+ *                         format: date-time
+ *       402:
+ *         description: The user has no active subscription. The response has feature set to see_likes.
+ *       403:
+ *         description: The ID does not belong to the authenticated user
+ *       500:
+ *         description: Internal server error
  */
-
-//This is the accept Request API for a user
-app.put(
-  "/users/acceptRequest",
-  upload.none(),
+app.get(
+  "/users/getLikes",
   authenticateToken,
+  authorizeUser("query", "id"),
+  requireEntitlement("see_likes"),
   async (req, res) => {
-    const { receiverID, senderID } = req.body;
-
-    const updates = ["status = ?"];
-    const queryParams = ["accepted"];
-
-    const query = `UPDATE request SET ${updates.join(
-      ", "
-    )} WHERE sender_id = ?`;
-    queryParams.push(senderID);
-
-    query.concat(" AND receiver_id = ?");
-    queryParams.push(receiverID);
-
-    // let query='SELECT * FROM request WHERE receiver_id = ? ';
-    // let queryParams=[id];
-
-    db.query(query, queryParams, (err, result) => {
-      if (err) {
-        return res.status(500).send(err.message);
-      }
-
-      // Check if any rows were affected
-      if (result.affectedRows === 0) {
-        return res.status(404).send("User not found");
-      }
-
-      res
-        .status(200)
-        .json({ status: true, message: "Request Accepted Successfully" });
-    });
+    try {
+      const list = await queryDb(
+        `SELECT u.id, u.full_name, u.profile_pic_url, u.avatar_url, r.request_date AS liked_at
+         FROM request r JOIN users u ON u.id = r.sender_id
+         WHERE r.receiver_id = ? AND r.kind = 'like' AND r.status = 'pending' AND u.status = 'ACTIVE'
+         ORDER BY r.request_date DESC`,
+        [req.query.id]
+      );
+      res.status(200).json({ status: true, message: "Likes fetched successfully", list });
+    } catch (err) {
+      console.error("Error fetching likes:", err);
+      res.status(500).json({ status: false, message: err.message, list: null });
+    }
   }
 );
 
 /**
  * @swagger
- * /users/rejectRequest:
- *   put:
- *     summary: Reject a friend request
- *     description: Rejects a friend request by updating the status to 'accepted' for the specified sender and receiver IDs.
- *     tags: [Requests]
+ * /users/skipUser:
+ *   post:
+ *     summary: Skip a user
+ *     description: Adds a user to the skip list, indicating that the current user has skipped this user. The skipped user is hidden from /users/getUsers for 30 days by default (SKIP_EXPIRY_DAYS).
+ *     tags:
+ *       - Users
  *     requestBody:
  *       required: true
  *       content:
- *         application/json:
+ *         application/x-www-form-urlencoded:
  *           schema:
  *             type: object
+ *             required:
+ *               - user_id
+ *               - skipped_user_id
  *             properties:
- *               receiverID:
- *                 type: string
- *                 description: The ID of the user receiving the friend request
- *                 example: 789
- *               senderID:
- *                 type: string
- *                 description: The ID of the user sending the friend request
- *                 example: 456
+ *               user_id:
+ *                 type: integer
+ *                 description: The ID of the user who is skipping another user
+ *                 example: 1
+ *               skipped_user_id:
+ *                 type: integer
+ *                 description: The ID of the user being skipped
+ *                 example: 2
  *     responses:
- *       200:
- *         description: Successfully rejected the friend request
+ *       201:
+ *         description: User skipped successfully
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
  *                 status:
- *                   type: boolean
- *                   example: true
+ *                   type: string
+ *                   example: "true"
  *                 message:
  *                   type: string
- *                   example: Request Rejected Successfully
+ *                   example: "User skipped successfully"
  *       400:
- *         description: Missing or invalid parameters
+ *         description: Bad request. Missing required parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Both user_id and skipped_user_id are required"
+ *       403:
+ *         description: The ID does not belong to the authenticated user
  *         content:
  *           application/json:
  *             schema:
@@ -1659,90 +5478,69 @@ app.put(
  *                   example: false
  *                 message:
  *                   type: string
- *                   example: Missing or invalid parameters
+ *                   example: You are not allowed to act on behalf of another user
  *       500:
- *         description: Internal server error
+ *         description: Internal server error. Failed to skip user.
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 status:
- *                   type: boolean
- *                   example: false
  *                 message:
  *                   type: string
- *                   example: An error occurred while accepting the request
+ *                   example: "Failed to skip user {error.message}"
  */
 
-//This is the reject Request API for a user
-app.put(
-  "/users/rejectRequest",
+app.post(
+  "/users/skipUser",
   upload.none(),
   authenticateToken,
+  authorizeUser("body", "user_id"),
   async (req, res) => {
-    const { receiverID, senderID } = req.body;
-
-    const updates = ["status = ?"];
-    const queryParams = ["rejected"];
-
-    const query = `UPDATE request SET ${updates.join(
-      ", "
-    )} WHERE sender_id = ?`;
-    queryParams.push(senderID);
-
-    query.concat(" AND receiver_id = ?");
-    queryParams.push(receiverID);
+    const { user_id, skipped_user_id } = req.body;
+    console.log("user_id", skipped_user_id);
 
-    // let query='SELECT * FROM request WHERE receiver_id = ? ';
-    // let queryParams=[id];
+    if (!user_id || !skipped_user_id) {
+      return res
+        .status(400)
+        .json({ message: "Both user_id and skipped_user_id are required" });
+    }
 
-    db.query(query, queryParams, (err, result) => {
-      if (err) {
-        return res.status(500).send(err.message);
-      }
+    const query = "INSERT INTO skip (user_id, skipped_user_id) VALUES (?, ?)";
+    const values = [user_id, skipped_user_id];
 
-      // Check if any rows were affected
-      if (result.affectedRows === 0) {
-        return res.status(404).send("User not found");
+    db.query(query, values, (error, results) => {
+      if (error) {
+        console.error("Error inserting skip record: ", error);
+        return res
+          .status(500)
+          .json({ message: `Failed to skip user ${error.message}` });
       }
-
-      res
-        .status(200)
-        .json({ status: true, message: "Request Rejected Successfully" });
+      res.status(201).json({
+        status: "true",
+        message: "User skipped successfully",
+      });
     });
   }
 );
 
 /**
  * @swagger
- * /users/removeFriend:
- *   put:
- *     summary: Remove a friend
- *     description: Removes a friend by updating the status to 'rejected' for the specified sender and receiver IDs.
- *     tags: [Requests]
+ * /users/getSkippedUsers:
+ *   get:
+ *     summary: List the profiles a user has skipped
+ *     description: Only skips that still hide the profile from discovery are listed. Skips expire after 30 days by default (SKIP_EXPIRY_DAYS).
+ *     tags:
+ *       - Users
  *     parameters:
  *       - in: query
  *         name: id
  *         required: true
- *         description: The ID of the user who is removing the friend
  *         schema:
- *           type: string
- *           example: 123
- *     requestBody:
- *       required: true
- *       content:
- *         application/x-www-form-urlencoded:
- *           schema:
- *             type: object
- *             properties:
- *               friendID:
- *                 type: string
- *                 description: The ID of the friend being removed
- *                 example: 456
+ *           type: integer
  *     responses:
  *       200:
- *         description: Successfully removed the friend
+ *         description: Skipped profiles, most recent first
  *         content:
  *           application/json:
  *             schema:
@@ -1751,81 +5549,214 @@ app.put(
  *                 status:
  *                   type: boolean
  *                   example: true
- *                 message:
- *                   type: string
- *                   example: Friend Removed Successfully
+ *                 list:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       full_name:
+ *                         type: string
+ *                       profile_pic_url:
+ *                         type: string
+ *                       skipped_at:
+ *                         type: string
+ *                         format: date-time
+ *                       expires_at:
+ *                         type: string
+ *                         format: date-time
+ *       403:
+ *         description: The ID does not belong to the authenticated user
+ *       500:
+ *         description: Internal server error
+ */
+app.get(
+  "/users/getSkippedUsers",
+  authenticateToken,
+  authorizeUser("query", "id"),
+  async (req, res) => {
+    try {
+      const list = await queryDb(
+        `SELECT u.id, u.full_name, u.profile_pic_url, MAX(s.date) AS skipped_at,
+           MAX(s.date) + INTERVAL ? DAY AS expires_at
+         FROM skip s JOIN users u ON u.id = s.skipped_user_id
+         WHERE s.user_id = ? AND s.date > NOW() - INTERVAL ? DAY
+         GROUP BY u.id, u.full_name, u.profile_pic_url
+         ORDER BY skipped_at DESC`,
+        [SKIP_EXPIRY_DAYS, req.query.id, SKIP_EXPIRY_DAYS]
+      );
+      res.status(200).json({ status: true, message: "Skipped users fetched successfully", list });
+    } catch (err) {
+      console.error("Error fetching skipped users:", err);
+      res.status(500).json({ status: false, message: err.message, list: null });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /users/undoSkip:
+ *   post:
+ *     summary: Undo the last skip
+ *     description: Premium only. Removes the user's most recent skip that has not expired, so that profile shows up in discovery again, and returns it.
+ *     tags:
+ *       - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_id
+ *             properties:
+ *               user_id:
+ *                 type: integer
+ *                 example: 1
+ *     responses:
+ *       200:
+ *         description: Skip undone. Returns the restored profile.
+ *       402:
+ *         description: The user has no active subscription. The response has feature set to undo_skip.
+ *       403:
+ *         description: The ID does not belong to the authenticated user
  *       404:
- *         description: User not found
- *         content:
- *           text/plain:
- *             schema:
- *               type: string
- *               example: User not found
+ *         description: Nothing to undo
+ *       500:
+ *         description: Internal server error
+ */
+app.post(
+  "/users/undoSkip",
+  upload.none(),
+  authenticateToken,
+  authorizeUser("body", "user_id"),
+  requireEntitlement("undo_skip"),
+  async (req, res) => {
+    const { user_id } = req.body;
+
+    try {
+      const skips = await queryDb(
+        `SELECT id, skipped_user_id FROM skip
+         WHERE user_id = ? AND date > NOW() - INTERVAL ? DAY
+         ORDER BY date DESC, id DESC LIMIT 1`,
+        [user_id, SKIP_EXPIRY_DAYS]
+      );
+      if (skips.length === 0) {
+        return res.status(404).json({ status: false, message: "No skip to undo" });
+      }
+
+      // Earlier skips of the same profile would keep hiding it
+      await queryDb("DELETE FROM skip WHERE user_id = ? AND skipped_user_id = ?", [
+        user_id,
+        skips[0].skipped_user_id,
+      ]);
+      const users = await queryDb("SELECT * FROM users WHERE id = ?", [skips[0].skipped_user_id]);
+
+      res
+        .status(200)
+        .json({ status: true, message: "Skip undone successfully", user: users[0] || null });
+    } catch (err) {
+      console.error("Error undoing skip:", err);
+      res.status(500).json({ status: false, message: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /users/blockUser:
+ *   post:
+ *     summary: Block a user
+ *     description: Blocked users disappear from each other's discovery results, any friendship or pending request between them is ended, and neither can send the other requests or direct messages. Group conversations are not affected.
+ *     tags:
+ *       - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_id
+ *               - blocked_user_id
+ *             properties:
+ *               user_id:
+ *                 type: integer
+ *                 description: The ID of the user who is blocking
+ *                 example: 1
+ *               blocked_user_id:
+ *                 type: integer
+ *                 description: The ID of the user being blocked
+ *                 example: 2
+ *     responses:
+ *       201:
+ *         description: User blocked successfully
+ *       400:
+ *         description: Missing IDs or trying to block yourself
+ *       403:
+ *         description: The ID does not belong to the authenticated user
  *       500:
  *         description: Internal server error
- *         content:
- *           text/plain:
- *             schema:
- *               type: string
- *               example: Internal Server Error
  */
-
-//API for removing friend
-app.put(
-  "/users/removeFriend",
+app.post(
+  "/users/blockUser",
   upload.none(),
   authenticateToken,
+  authorizeUser("body", "user_id"),
   async (req, res) => {
-    const { id } = req.query;
-    const { friendID } = req.body;
-
-    console.log(friendID);
-
-    const updates = ["status = ?"];
-    let queryParams = ["rejected"];
-
-    const query = `UPDATE request SET ${updates.join(
-      ", "
-    )} WHERE (sender_id = ? AND receiver_id = ?) OR (sender_id = ? AND receiver_id = ?)`;
-    queryParams.push(friendID, id, id, friendID);
-
-    query.concat(" AND status = ?");
-    queryParams.push("accepted");
+    const { user_id, blocked_user_id } = req.body;
 
-    db.query(query, queryParams, (err, result) => {
-      if (err) {
-        return res.status(500).send(err.message);
-      }
+    if (!user_id || !blocked_user_id) {
+      return res
+        .status(400)
+        .json({ status: false, message: "Both user_id and blocked_user_id are required" });
+    }
+    if (String(user_id) === String(blocked_user_id)) {
+      return res
+        .status(400)
+        .json({ status: false, message: "You cannot block yourself" });
+    }
 
-      // Check if any rows were affected
-      if (result.affectedRows === 0) {
-        return res.status(404).send("User not found");
-      }
+    try {
+      await queryDb(
+        "INSERT IGNORE INTO blocks (blocker_id, blocked_id) VALUES (?, ?)",
+        [user_id, blocked_user_id]
+      );
+      // End any friendship or pending request. The rows are deleted rather
+      // than rejected so the pair can connect again after an unblock.
+      await queryDb(
+        `DELETE FROM request
+         WHERE ((sender_id = ? AND receiver_id = ?) OR (sender_id = ? AND receiver_id = ?))
+         AND status IN ('pending', 'accepted')`,
+        [user_id, blocked_user_id, blocked_user_id, user_id]
+      );
 
-      res
-        .status(200)
-        .json({ status: true, message: "Friend Removed Successfully" });
-    });
+      res.status(201).json({ status: true, message: "User blocked successfully" });
+    } catch (err) {
+      console.error("Error blocking user:", err);
+      res.status(500).json({ status: false, message: err.message });
+    }
   }
 );
 
-// DELETE APIs
 /**
  * @swagger
- * /dropTable/{tableName}:
- *   delete:
- *     summary: Drop a specific table
- *     tags: [Database]
+ * /users/getBlockedUsers:
+ *   get:
+ *     summary: List the users someone has blocked
+ *     tags:
+ *       - Users
  *     parameters:
- *       - in: path
- *         name: tableName
- *         schema:
- *           type: string
+ *       - in: query
+ *         name: id
  *         required: true
- *         description: The name of the table to drop
+ *         description: The ID of the user whose block list is fetched
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: Table dropped successfully
+ *         description: The blocked users, most recent first
  *         content:
  *           application/json:
  *             schema:
@@ -1833,275 +5764,403 @@ app.put(
  *               properties:
  *                 status:
  *                   type: boolean
- *                 message:
- *                   type: string
+ *                   example: true
+ *                 list:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       full_name:
+ *                         type: string
+ *                       profile_pic_url:
+ *                         type: string
+ *                       blocked_at:
+ *                         type: string
+ *                         format: date-time
+ *       403:
+ *         description: The ID does not belong to the authenticated user
  *       500:
  *         description: Internal server error
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: boolean
- *                 message:
- *                   type: string
  */
+app.get(
+  "/users/getBlockedUsers",
+  authenticateToken,
+  authorizeUser("query", "id"),
+  async (req, res) => {
+    try {
+      const list = await queryDb(
+        `SELECT u.id, u.full_name, u.profile_pic_url, b.created_at AS blocked_at
+         FROM blocks b JOIN users u ON u.id = b.blocked_id
+         WHERE b.blocker_id = ?
+         ORDER BY b.created_at DESC`,
+        [req.query.id]
+      );
+      res.status(200).json({ status: true, message: "Blocked users fetched successfully", list });
+    } catch (err) {
+      console.error("Error fetching blocked users:", err);
+      res.status(500).json({ status: false, message: err.message, list: null });
+    }
+  }
+);
+
 /**
  * @swagger
- * /dropTable:
- *   delete:
- *     summary: Drop all tables
- *     tags: [Database]
+ * /users/unblockUser:
+ *   put:
+ *     summary: Unblock a user
+ *     description: The users can find, message and send each other requests again. A friendship ended by the block is not restored.
+ *     tags:
+ *       - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_id
+ *               - blocked_user_id
+ *             properties:
+ *               user_id:
+ *                 type: integer
+ *                 example: 1
+ *               blocked_user_id:
+ *                 type: integer
+ *                 example: 2
  *     responses:
  *       200:
- *         description: All tables dropped successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: boolean
- *                 message:
- *                   type: string
+ *         description: User unblocked successfully
+ *       403:
+ *         description: The ID does not belong to the authenticated user
+ *       404:
+ *         description: The user was not blocked
  *       500:
  *         description: Internal server error
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: boolean
- *                 message:
- *                   type: string
  */
-app.delete("/dropTable/:tableName?", (req, res) => {
-  const { tableName } = req.params;
-
-  if (tableName) {
-    // Drop a specific table
-    const dropTableQuery = `DROP TABLE IF EXISTS \`${tableName}\``;
+app.put(
+  "/users/unblockUser",
+  upload.none(),
+  authenticateToken,
+  authorizeUser("body", "user_id"),
+  async (req, res) => {
+    const { user_id, blocked_user_id } = req.body;
 
-    db.query(dropTableQuery, (err, result) => {
-      if (err) {
-        if (
-          err.code === "ER_ROW_IS_REFERENCED_2" ||
-          err.code === "ER_ROW_IS_REFERENCED"
-        ) {
-          return res.status(400).json({
-            status: false,
-            message: `Cannot drop table '${tableName}' referenced by a foreign key constraint.`,
-          });
-        }
-        return res.status(500).json({ status: false, message: err.message });
+    try {
+      const result = await queryDb(
+        "DELETE FROM blocks WHERE blocker_id = ? AND blocked_id = ?",
+        [user_id, blocked_user_id]
+      );
+      if (result.affectedRows === 0) {
+        return res
+          .status(404)
+          .json({ status: false, message: "User is not blocked" });
       }
-      res.status(200).json({
-        status: true,
-        message: `Table ${tableName} dropped successfully`,
-      });
-    });
-  } else {
-    // Drop all tables
-    const getAllTablesQuery = `SHOW TABLES`;
 
-    db.query(getAllTablesQuery, (err, tables) => {
-      if (err) {
-        return res.status(500).json({ status: false, message: err.message });
-      }
+      res.status(200).json({ status: true, message: "User unblocked successfully" });
+    } catch (err) {
+      console.error("Error unblocking user:", err);
+      res.status(500).json({ status: false, message: err.message });
+    }
+  }
+);
 
-      const dropTablePromises = tables.map((table) => {
-        const tableName = table[`Tables_in_${db.config.database}`];
-        const dropTableQuery = `DROP TABLE IF EXISTS \`${tableName}\``;
+const REPORT_REASONS = ["spam", "harassment", "inappropriate", "fake_profile", "underage", "other"];
+const MODERATION_ACTIONS = ["warn", "suspend", "delete_content"];
 
-        return new Promise((resolve, reject) => {
-          db.query(dropTableQuery, (err, result) => {
-            if (err) {
-              if (
-                err.code === "ER_ROW_IS_REFERENCED_2" ||
-                err.code === "ER_ROW_IS_REFERENCED"
-              ) {
-                resolve(
-                  `Cannot drop table '${tableName}' referenced by a foreign key constraint.`
-                );
-              } else {
-                reject(err);
-              }
-            } else {
-              resolve(`Table ${tableName} dropped successfully`);
-            }
-          });
-        });
-      });
+// A report target is a profile, or one message together with its sender
+const targetConditions = "target_type = ? AND reported_user_id = ? AND message_id <=> ?";
+const targetParams = (target) => [target.type, target.userID, target.messageID || null];
+
+// Hide or show the reported profile or message
+const setTargetHidden = (target, hidden) => {
+  return target.type === "message"
+    ? queryDb("UPDATE messages SET hidden = ? WHERE id = ?", [hidden, target.messageID])
+    : queryDb("UPDATE users SET hidden = ? WHERE id = ?", [hidden, target.userID]);
+};
+
+// File a report and hide the target once enough different users reported it
+const createReport = async (reporterID, target, reason, details) => {
+  if (!REPORT_REASONS.includes(reason)) {
+    throw httpError(400, `Reason must be one of: ${REPORT_REASONS.join(", ")}`);
+  }
+
+  const existing = await queryDb(
+    `SELECT id FROM reports WHERE reporter_id = ? AND ${targetConditions} AND status IN ('open', 'reviewing')`,
+    [reporterID, ...targetParams(target)]
+  );
+  if (existing.length > 0) {
+    throw httpError(409, "You have already reported this");
+  }
+
+  const result = await queryDb(
+    "INSERT INTO reports (reporter_id, target_type, reported_user_id, message_id, reason, details) VALUES (?, ?, ?, ?, ?, ?)",
+    [reporterID, ...targetParams(target), reason, details ? String(details).slice(0, 500) : null]
+  );
+
+  const rows = await queryDb(
+    `SELECT COUNT(DISTINCT reporter_id) AS reporters FROM reports
+     WHERE ${targetConditions} AND status IN ('open', 'reviewing')`,
+    targetParams(target)
+  );
+  if (rows[0].reporters >= REPORT_HIDE_THRESHOLD) {
+    await setTargetHidden(target, true);
+  }
+
+  return result.insertId;
+};
+
+// Carry out an admin decision on the reported user or message
+const applyModerationAction = async (target, action, reason) => {
+  if (action === "warn") {
+    sendToUser(target.userID, {
+      cmd: "moderation",
+      type: "warning",
+      reason,
+      message_id: target.messageID || null,
+    });
+  } else if (action === "suspend") {
+    await queryDb("UPDATE users SET status = 'SUSPENDED' WHERE id = ?", [target.userID]);
+    await queryDb(
+      "UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+      [target.userID]
+    );
+    closeSockets(target.userID);
+  } else if (target.type === "message") {
+    const rows = await queryDb("SELECT * FROM messages WHERE id = ?", [target.messageID]);
+    if (rows.length > 0 && !rows[0].deleted) {
+      await wipeMessage(rows[0]);
+    }
+  } else {
+    await queryDb(
+      "UPDATE users SET bio = NULL, profile_pic_url = NULL, avatar_url = NULL, profile_images = NULL WHERE id = ?",
+      [target.userID]
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /reports/reportUser:
+ *   post:
+ *     summary: Report a user's profile
+ *     description: Once enough different users have open reports on a profile it is hidden from discovery until an admin reviews it.
+ *     tags: [Moderation]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_id
+ *               - reason
+ *             properties:
+ *               user_id:
+ *                 type: integer
+ *                 description: The user being reported
+ *                 example: 2
+ *               reason:
+ *                 type: string
+ *                 enum: [spam, harassment, inappropriate, fake_profile, underage, other]
+ *               details:
+ *                 type: string
+ *                 description: Optional free text, up to 500 characters
+ *     responses:
+ *       201:
+ *         description: Report filed
+ *       400:
+ *         description: Invalid reason or reporting yourself
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: This user already has an open report from you
+ *       500:
+ *         description: Internal server error
+ */
+app.post("/reports/reportUser", upload.none(), authenticateToken, async (req, res) => {
+  const { user_id, reason, details } = req.body;
 
-      Promise.all(dropTablePromises)
-        .then((messages) =>
-          res.status(200).json({ status: true, message: messages.join(", ") })
-        )
-        .catch((err) =>
-          res.status(500).json({ status: false, message: err.message })
-        );
-    });
+  if (!user_id || String(user_id) === String(req.user.id)) {
+    return res
+      .status(400)
+      .json({ status: false, message: "Provide the ID of another user to report" });
+  }
+
+  try {
+    const users = await queryDb("SELECT id FROM users WHERE id = ?", [user_id]);
+    if (users.length === 0) {
+      return res.status(404).json({ status: false, message: "User not found" });
+    }
+
+    const reportID = await createReport(
+      req.user.id,
+      { type: "user", userID: users[0].id },
+      reason,
+      details
+    );
+    res
+      .status(201)
+      .json({ status: true, message: "Report submitted successfully", report_id: reportID });
+  } catch (err) {
+    if (!err.status) {
+      console.error("Error reporting user:", err);
+    }
+    res.status(err.status || 500).json({ status: false, message: err.message });
   }
 });
 
 /**
  * @swagger
- * /deleteAllData/{tableName}:
- *   delete:
- *     summary: Delete all data from a table
- *     tags: [Database]
- *     parameters:
- *       - in: path
- *         name: tableName
- *         schema:
- *           type: string
- *         required: true
- *         description: The table name
+ * /reports/reportMessage:
+ *   post:
+ *     summary: Report a message
+ *     description: Only messages the reporter can see, sent by someone else, can be reported. Once enough different users have open reports on a message it is hidden from history, sync and search until an admin reviews it.
+ *     tags: [Moderation]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message_id
+ *               - reason
+ *             properties:
+ *               message_id:
+ *                 type: integer
+ *                 example: 120
+ *               reason:
+ *                 type: string
+ *                 enum: [spam, harassment, inappropriate, fake_profile, underage, other]
+ *               details:
+ *                 type: string
  *     responses:
- *       200:
- *         description: All data from table deleted successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
+ *       201:
+ *         description: Report filed
+ *       400:
+ *         description: Invalid reason or reporting your own message
+ *       404:
+ *         description: Message not found
+ *       409:
+ *         description: This message already has an open report from you
+ *       500:
+ *         description: Internal server error
  */
-app.delete("/deleteAllData/:tableName", (req, res) => {
-  const { tableName } = req.params;
-  const deleteAllDataQuery = `DELETE FROM \`${tableName}\``;
+app.post("/reports/reportMessage", upload.none(), authenticateToken, async (req, res) => {
+  const { message_id, reason, details } = req.body;
 
-  db.query(deleteAllDataQuery, (err, result) => {
-    if (err) {
-      return res.status(500).json({ status: false, message: err.message });
+  try {
+    const row = await findVisibleMessage(req.user.id, message_id);
+    if (String(row.from_user) === String(req.user.id)) {
+      return res
+        .status(400)
+        .json({ status: false, message: "You cannot report your own message" });
     }
-    res.status(200).json({
-      status: true,
-      message: `All data from table ${tableName} deleted successfully`,
-    });
-  });
+
+    const reportID = await createReport(
+      req.user.id,
+      { type: "message", userID: row.from_user, messageID: row.id },
+      reason,
+      details
+    );
+    res
+      .status(201)
+      .json({ status: true, message: "Report submitted successfully", report_id: reportID });
+  } catch (err) {
+    if (!err.status) {
+      console.error("Error reporting message:", err);
+    }
+    res.status(err.status || 500).json({ status: false, message: err.message });
+  }
 });
 
 /**
  * @swagger
- * /users/removeUser:
- *   put:
- *     summary: Remove a user
- *     description: Removes a user by updating their status to 'NON_ACTIVE' for the specified user ID.
- *     tags: [Users]
+ * /admin/reports:
+ *   get:
+ *     summary: List the moderation queue
+ *     description: Admins only. Newest reports first.
+ *     tags: [Moderation]
  *     parameters:
  *       - in: query
- *         name: id
- *         required: true
- *         description: The ID of the user to be removed
+ *         name: status
  *         schema:
  *           type: string
- *           example: 123
+ *           enum: [open, reviewing, actioned, dismissed]
+ *         description: Only reports with this status. Defaults to open and reviewing.
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: integer
+ *         description: Return reports older than this report ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
  *     responses:
  *       200:
- *         description: Successfully removed the user
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: User Removed Successfully
- *       404:
- *         description: User not found
- *         content:
- *           text/plain:
- *             schema:
- *               type: string
- *               example: User not found
+ *         description: A page of reports with the reporter, the reported user and the reported message
+ *       403:
+ *         description: Admin access required
  *       500:
  *         description: Internal server error
- *         content:
- *           text/plain:
- *             schema:
- *               type: string
- *               example: Internal Server Error
  */
+app.get("/admin/reports", authenticateToken, requireAdmin, async (req, res) => {
+  const { status, before, limit } = req.query;
+  const pageSize = Math.min(parseInt(limit, 10) || REPORTS_PAGE_LIMIT, REPORTS_PAGE_MAX);
 
-//API for removing friend
-app.put("/users/removeUser", authenticateToken, async (req, res) => {
-  const { id } = req.query;
-
-  const updates = ["status = ?"];
-  let queryParams = ["NON_ACTIVE"];
-
-  const query = `UPDATE users SET ${updates.join(", ")} WHERE id = ?`;
-  queryParams.push(id);
-
-  db.query(query, queryParams, (err, result) => {
-    if (err) {
-      return res.status(500).send(err.message);
-    }
-
-    // Check if any rows were affected
-    if (result.affectedRows === 0) {
-      return res.status(404).send("User not found");
-    }
-
-    res
-      .status(200)
-      .json({ status: true, message: "User Removed Successfully" });
-  });
-});
-
-// app.post("/users/matchUser", upload.none(), (req, res) => {
-//   const { user_id, matched_user_id } = req.body;
-//   console.log("user_id:", user_id, "matched user id: ", matched_user_id);
-
-//   if (!user_id || !matched_user_id) {
-//     return res
-//       .status(400)
-//       .json({ message: "Both user_id and matched_user_id are required" });
-//   }
-
-//   const query = "INSERT INTO matches (user_id, matched_user_id) VALUES (?, ?)";
-//   const values = [user_id, matched_user_id];
+  let query = `
+    SELECT r.*, reporter.full_name AS reporter_name, reported.full_name AS reported_name,
+      reported.status AS reported_status, reported.hidden AS profile_hidden,
+      m.message, m.message_type, m.attachment, m.deleted AS message_deleted, m.hidden AS message_hidden
+    FROM reports r
+    JOIN users reporter ON reporter.id = r.reporter_id
+    JOIN users reported ON reported.id = r.reported_user_id
+    LEFT JOIN messages m ON m.id = r.message_id
+    WHERE r.status IN (?)
+  `;
+  const queryParams = [status ? [status] : ["open", "reviewing"]];
+  if (parseInt(before, 10)) {
+    query += " AND r.id < ?";
+    queryParams.push(parseInt(before, 10));
+  }
+  query += " ORDER BY r.id DESC LIMIT ?";
+  queryParams.push(pageSize + 1);
 
-//   db.query(query, values, (error, results) => {
-//     if (error) {
-//       console.error("Error inserting match: ", error);
-//       return res.status(500).json({ message: "Failed to create match" });
-//     }
-//     res.status(201).json({
-//       message: "Match created successfully",
-//     });
-//   });
-// });
+  try {
+    const rows = await queryDb(query, queryParams);
+    const hasMore = rows.length > pageSize;
+    const reports = rows.slice(0, pageSize);
 
-app.put("/users/setOnlineStatus", async (req, res) => {
-  const { id, flag } = req.body;
-  const query = `UPDATE users SET online_status = ? WHERE id = ?`;
-  const queryParams = [flag, id];
-  db.query(query, queryParams, (err, result) => {
-    if (err) {
-      return res.status(500).send(err.message);
-    }
-    if (result.affectedRows === 0) {
-      return res.status(404).send("User not found");
-    }
-    res
-      .status(500)
-      .json({ status: true, message: `Status Set to ${flag} Successfully` });
-  });
+    res.status(200).json({
+      status: true,
+      hasMore,
+      next: hasMore ? reports[reports.length - 1].id : null,
+      reports,
+    });
+  } catch (err) {
+    console.error("Error fetching reports:", err);
+    res.status(500).json({ status: false, message: err.message });
+  }
 });
 
 /**
  * @swagger
- * /users/skipUser:
- *   post:
- *     summary: Skip a user
- *     description: Adds a user to the skip list, indicating that the current user has skipped this user.
- *     tags:
- *       - Users
+ * /admin/reports/{id}:
+ *   put:
+ *     summary: Review or resolve a report
+ *     description: Admins only. Marking a report as reviewing only claims it. Actioning or dismissing it resolves every open report on the same profile or message, and the target is shown again unless the action removed it. Actions are warn (a "moderation" WebSocket event to the reported user), suspend (sets users.status to SUSPENDED and signs them out everywhere) and delete_content (wipes the message, or clears the profile's bio and pictures).
+ *     tags: [Moderation]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
  *     requestBody:
  *       required: true
  *       content:
@@ -2109,82 +6168,99 @@ app.put("/users/setOnlineStatus", async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - user_id
- *               - skipped_user_id
+ *               - status
  *             properties:
- *               user_id:
- *                 type: integer
- *                 description: The ID of the user who is skipping another user
- *                 example: 1
- *               skipped_user_id:
- *                 type: integer
- *                 description: The ID of the user being skipped
- *                 example: 2
+ *               status:
+ *                 type: string
+ *                 enum: [reviewing, actioned, dismissed]
+ *               action:
+ *                 type: string
+ *                 enum: [warn, suspend, delete_content]
+ *                 description: Required when status is actioned
+ *               note:
+ *                 type: string
+ *                 description: Internal note for other admins
  *     responses:
- *       201:
- *         description: User skipped successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: "true"
- *                 message:
- *                   type: string
- *                   example: "User skipped successfully"
+ *       200:
+ *         description: Report updated
  *       400:
- *         description: Bad request. Missing required parameters.
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Both user_id and skipped_user_id are required"
+ *         description: Invalid status or missing action
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Report has already been resolved
  *       500:
- *         description: Internal server error. Failed to skip user.
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Failed to skip user {error.message}"
+ *         description: Internal server error
  */
-
-app.post(
-  "/users/skipUser",
+app.put(
+  "/admin/reports/:id",
   upload.none(),
   authenticateToken,
+  requireAdmin,
   async (req, res) => {
-    const { user_id, skipped_user_id } = req.body;
-    console.log("user_id", skipped_user_id);
+    const { status, action, note } = req.body;
 
-    if (!user_id || !skipped_user_id) {
-      return res
-        .status(400)
-        .json({ message: "Both user_id and skipped_user_id are required" });
+    if (!["reviewing", "actioned", "dismissed"].includes(status)) {
+      return res.status(400).json({
+        status: false,
+        message: "Status must be one of: reviewing, actioned, dismissed",
+      });
+    }
+    if (status === "actioned" && !MODERATION_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        status: false,
+        message: `Action must be one of: ${MODERATION_ACTIONS.join(", ")}`,
+      });
     }
 
-    const query = "INSERT INTO skip (user_id, skipped_user_id) VALUES (?, ?)";
-    const values = [user_id, skipped_user_id];
-
-    db.query(query, values, (error, results) => {
-      if (error) {
-        console.error("Error inserting skip record: ", error);
+    try {
+      const rows = await queryDb("SELECT * FROM reports WHERE id = ?", [req.params.id]);
+      if (rows.length === 0) {
+        return res.status(404).json({ status: false, message: "Report not found" });
+      }
+      const report = rows[0];
+      if (!["open", "reviewing"].includes(report.status)) {
         return res
-          .status(500)
-          .json({ message: `Failed to skip user ${error.message}` });
+          .status(409)
+          .json({ status: false, message: "Report has already been resolved" });
       }
-      res.status(201).json({
-        status: "true",
-        message: "User skipped successfully",
+
+      const reviewed = [req.user.id, note || report.admin_note];
+      if (status === "reviewing") {
+        await queryDb(
+          "UPDATE reports SET status = 'reviewing', reviewed_by = ?, admin_note = ?, reviewed_at = NOW() WHERE id = ?",
+          [...reviewed, report.id]
+        );
+        return res.status(200).json({ status: true, message: "Report is under review" });
+      }
+
+      const target = {
+        type: report.target_type,
+        userID: report.reported_user_id,
+        messageID: report.message_id,
+      };
+      if (status === "actioned") {
+        await applyModerationAction(target, action, report.reason);
+      }
+
+      const result = await queryDb(
+        `UPDATE reports SET status = ?, action = ?, reviewed_by = ?, admin_note = ?, reviewed_at = NOW()
+         WHERE ${targetConditions} AND status IN ('open', 'reviewing')`,
+        [status, status === "actioned" ? action : null, ...reviewed, ...targetParams(target)]
+      );
+      await setTargetHidden(target, false);
+
+      res.status(200).json({
+        status: true,
+        message: status === "actioned" ? "Action applied successfully" : "Report dismissed",
+        resolved: result.affectedRows,
       });
-    });
+    } catch (err) {
+      console.error("Error resolving report:", err);
+      res.status(500).json({ status: false, message: err.message });
+    }
   }
 );
 
@@ -2195,7 +6271,7 @@ app.post(
  *     summary: Add a payment record and update the user's subscription status.
  *     tags:
  *       - Users
- *     description: This endpoint allows you to add a payment record for a user and update their subscription status.
+ *     description: This endpoint allows you to add a payment record for a user and update their subscription status. It is disabled unless ALLOW_CLIENT_PAYMENTS is "true"; in production payments arrive through /payments/webhook. The subscription is extended by the plan's length, counted from the current expiry when the user is still subscribed and from the payment date otherwise.
  *     requestBody:
  *       required: true
  *       content:
@@ -2220,6 +6296,11 @@ app.post(
  *                 type: string
  *                 description: The reason for the payment.
  *                 example: "Subscription renewal"
+ *               plan:
+ *                 type: string
+ *                 description: Code of the plan paid for, see /plans.
+ *                 enum: [monthly, quarterly, yearly]
+ *                 default: monthly
  *     responses:
  *       201:
  *         description: Payment record added and user subscription updated successfully.
@@ -2262,8 +6343,20 @@ app.post(
  *                       format: date-time
  *                     reason:
  *                       type: string
+ *                     plan:
+ *                       type: string
+ *                     amount:
+ *                       type: string
+ *                     currency:
+ *                       type: string
+ *                     period_start:
+ *                       type: string
+ *                       format: date
+ *                     period_end:
+ *                       type: string
+ *                       format: date
  *       400:
- *         description: Bad Request. Missing or invalid parameters.
+ *         description: Bad Request. Missing or invalid parameters, or an unknown plan.
  *         content:
  *           application/json:
  *             schema:
@@ -2282,6 +6375,19 @@ app.post(
  *                 message:
  *                   type: string
  *                   example: "User not found"
+ *       403:
+ *         description: The ID does not belong to the authenticated user, or client payments are disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: You are not allowed to act on behalf of another user
  *       500:
  *         description: Internal Server Error. Failed to add payment record or update user subscription.
  *         content:
@@ -2294,95 +6400,567 @@ app.post(
  *                   example: "Failed to add payment record: error message"
  */
 
-app.post("/users/addPayment", upload.none(), authenticateToken, (req, res) => {
-  const { user_id, date, reason } = req.body;
+app.post(
+  "/users/addPayment",
+  upload.none(),
+  authenticateToken,
+  authorizeUser("body", "user_id"),
+  async (req, res) => {
+    const { user_id, date, reason, plan } = req.body;
 
-  if (!user_id || !date || !reason) {
-    return res.status(400).json({
-      message: "Please provide all the attributes: user_id, date, reason",
-    });
-  }
+    // Real payments come in through /payments/webhook; this is for development
+    if (process.env.ALLOW_CLIENT_PAYMENTS !== "true") {
+      return res.status(403).json({
+        message: "Payments are recorded by the payment provider",
+      });
+    }
 
-  const parsedDate = new Date(date);
-  if (isNaN(parsedDate)) {
-    return res.status(400).json({
-      message: "Invalid date format",
-    });
-  }
-  const formattedDate = parsedDate.toISOString().slice(0, 19).replace("T", " ");
+    if (!user_id || !date || !reason) {
+      return res.status(400).json({
+        message: "Please provide all the attributes: user_id, date, reason",
+      });
+    }
 
-  const subscriptionExpiryDate = addOneMonth(parsedDate)
-    .toISOString()
-    .slice(0, 10);
+    const parsedDate = new Date(date);
+    if (isNaN(parsedDate)) {
+      return res.status(400).json({
+        message: "Invalid date format",
+      });
+    }
 
-  const insertPaymentQuery =
-    "INSERT INTO payment_history (user_id, date, reason) VALUES (?, ?, ?)";
-  const insertPaymentValues = [user_id, formattedDate, reason];
+    try {
+      const paymentRecord = await applySubscriptionPayment(
+        user_id,
+        plan || "monthly",
+        parsedDate,
+        reason,
+        { provider: "manual" }
+      );
+      const users = await queryDb("SELECT * FROM users WHERE id = ?", [user_id]);
 
-  db.query(insertPaymentQuery, insertPaymentValues, (error, paymentResults) => {
-    if (error) {
-      console.error("Error inserting payment record:", error);
-      return res.status(500).json({
+      res.status(201).json({
+        status: "true",
+        message:
+          "Payment record added and user subscription updated successfully",
+        user: users[0],
+        paymentRecord,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error("Error adding payment record:", error);
+      res.status(500).json({
         message: `Failed to add payment record: ${error.message}`,
       });
     }
+  }
+);
+
+// Record a paid plan and move the user's expiry forward by the plan length.
+// Renewing early extends from the current expiry, so no paid days are lost;
+// otherwise the new period starts on the payment date.
+// `source` names who took the money: { provider, reference } with the
+// provider's own id for the payment, plus the amount and currency it
+// charged. Without them the plan's list price is recorded.
+const applySubscriptionPayment = async (userID, planCode, paidAt, reason, source = {}) => {
+  const plans = await queryDb("SELECT * FROM plans WHERE code = ? AND active = true", [planCode]);
+  if (plans.length === 0) {
+    throw httpError(400, `Unknown plan "${planCode}"`);
+  }
+  const plan = plans[0];
 
-    // Update user subscription status
-    const updateUserQuery =
-      "UPDATE users SET subscribed = ?, subscription_expiry = ? WHERE id = ?";
-    const updateUserValues = [true, subscriptionExpiryDate, user_id];
+  const users = await queryDb("SELECT id, subscription_expiry FROM users WHERE id = ?", [userID]);
+  if (users.length === 0) {
+    throw httpError(404, "User not found");
+  }
 
-    db.query(updateUserQuery, updateUserValues, (error, updateResults) => {
-      if (error) {
-        console.error("Error updating user record:", error);
-        return res.status(500).json({
-          message: `Failed to update user subscription: ${error.message}`,
+  const paidOn = moment(paidAt).startOf("day");
+  const currentExpiry = users[0].subscription_expiry ? moment(users[0].subscription_expiry) : null;
+  const renewing = currentExpiry && currentExpiry.isSameOrAfter(paidOn);
+  const periodStart = renewing ? currentExpiry.clone().add(1, "day") : paidOn;
+  const periodEnd = (renewing ? currentExpiry : paidOn).clone().add(plan.duration_months, "months");
+
+  const paymentRecord = {
+    user_id: Number(userID),
+    date: moment(paidAt).format("YYYY-MM-DD HH:mm:ss"),
+    reason,
+    plan_id: plan.id,
+    amount: source.amount != null ? source.amount : plan.price,
+    currency: source.currency || plan.currency,
+    period_start: periodStart.format("YYYY-MM-DD"),
+    period_end: periodEnd.format("YYYY-MM-DD"),
+    status: "paid",
+    provider: source.provider || null,
+    provider_reference: source.reference || null,
+  };
+  const result = await queryDb("INSERT INTO payment_history SET ?", paymentRecord);
+
+  await queryDb(
+    "UPDATE users SET subscribed = true, subscription_expiry = ?, plan_id = ? WHERE id = ?",
+    [paymentRecord.period_end, plan.id, userID]
+  );
+  await queryDb(
+    "INSERT INTO subscription_events (user_id, event, plan_id, subscription_expiry) VALUES (?, ?, ?, ?)",
+    [userID, renewing ? "renewed" : "started", plan.id, paymentRecord.period_end]
+  );
+
+  return { id: result.insertId, ...paymentRecord, plan: plan.code };
+};
+
+/**
+ * @swagger
+ * /payments/webhook:
+ *   post:
+ *     summary: Receive payment events from the payment provider
+ *     description: Called by the provider, not by the app. The body must be signed with PAYMENT_WEBHOOK_SECRET in the provider's signature header ("t=<unix seconds>,v1=<hex HMAC-SHA256 of t.body>"). Each event id is processed once, and so is each provider payment id; repeats are acknowledged without doing anything. A successful payment is written to payment_history with the amount the provider charged and starts or renews the subscription for the plan in the event. A refund of a recorded payment is applied as /admin/payments/{id}/refund would, without calling the provider again.
+ *     tags: [Subscriptions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             example:
+ *               id: evt_123
+ *               type: payment.succeeded
+ *               data:
+ *                 user_id: 1
+ *                 plan: monthly
+ *                 paid_at: "2024-07-16T12:00:00Z"
+ *                 payment_id: pay_123
+ *                 amount: 9.99
+ *                 currency: USD
+ *     responses:
+ *       200:
+ *         description: Event received. duplicate is true when it or its payment had already been handled, processed is false when it was not a payment or could not be applied.
+ *       400:
+ *         description: The body is not a provider event
+ *       401:
+ *         description: Missing, stale or invalid signature
+ *       500:
+ *         description: Processing failed; the provider should retry
+ *       503:
+ *         description: PAYMENT_WEBHOOK_SECRET is not configured
+ */
+app.post(
+  "/payments/webhook",
+  createPaymentWebhook({
+    provider: paymentProvider,
+    queryDb,
+    applyPayment: applySubscriptionPayment,
+    // Defined further down, next to the admin refund route
+    applyRefund: (payment, reason) => refundSubscriptionPayment(payment, reason),
+  })
+);
+
+/**
+ * @swagger
+ * /plans:
+ *   get:
+ *     summary: List the subscription plans on sale
+ *     tags: [Subscriptions]
+ *     responses:
+ *       200:
+ *         description: Active plans, shortest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 plans:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       code:
+ *                         type: string
+ *                         example: quarterly
+ *                       name:
+ *                         type: string
+ *                         example: Quarterly
+ *                       duration_months:
+ *                         type: integer
+ *                         example: 3
+ *                       price:
+ *                         type: string
+ *                         example: "24.99"
+ *                       currency:
+ *                         type: string
+ *                         example: USD
+ *       500:
+ *         description: Internal server error
+ */
+app.get("/plans", async (req, res) => {
+  try {
+    const plans = await queryDb(
+      "SELECT id, code, name, duration_months, price, currency FROM plans WHERE active = true ORDER BY duration_months ASC"
+    );
+    res.status(200).json({ status: true, plans });
+  } catch (err) {
+    console.error("Error fetching plans:", err);
+    res.status(500).json({ status: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /users/getPayments:
+ *   get:
+ *     summary: List a user's payments
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: query
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payments, most recent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 payments:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       date:
+ *                         type: string
+ *                         format: date-time
+ *                       reason:
+ *                         type: string
+ *                       plan:
+ *                         type: string
+ *                         example: monthly
+ *                       plan_name:
+ *                         type: string
+ *                       amount:
+ *                         type: string
+ *                         example: "9.99"
+ *                       currency:
+ *                         type: string
+ *                       period_start:
+ *                         type: string
+ *                         format: date
+ *                       period_end:
+ *                         type: string
+ *                         format: date
+ *                       status:
+ *                         type: string
+ *                         enum: [paid, refunded]
+ *                       provider:
+ *                         type: string
+ *                       provider_reference:
+ *                         type: string
+ *                       refunded_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *       403:
+ *         description: The ID does not belong to the authenticated user
+ *       500:
+ *         description: Internal server error
+ */
+app.get(
+  "/users/getPayments",
+  authenticateToken,
+  authorizeUser("query", "id"),
+  async (req, res) => {
+    try {
+      const payments = await queryDb(
+        `SELECT ph.id, ph.date, ph.reason, p.code AS plan, p.name AS plan_name, ph.amount,
+           ph.currency, ph.period_start, ph.period_end, ph.status, ph.provider,
+           ph.provider_reference, ph.refunded_at
+         FROM payment_history ph LEFT JOIN plans p ON p.id = ph.plan_id
+         WHERE ph.user_id = ?
+         ORDER BY ph.date DESC, ph.id DESC`,
+        [req.query.id]
+      );
+      res.status(200).json({ status: true, payments });
+    } catch (err) {
+      console.error("Error fetching payments:", err);
+      res.status(500).json({ status: false, message: err.message });
+    }
+  }
+);
+
+const formatReceiptDate = (value) => (value ? moment(value).format("YYYY-MM-DD") : "-");
+
+/**
+ * @swagger
+ * /users/getReceipt/{paymentId}:
+ *   get:
+ *     summary: Download the receipt for a payment
+ *     description: A plain text receipt, sent as a file download. Users can only download receipts for their own payments.
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The receipt
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Payment not found
+ *       500:
+ *         description: Internal server error
+ */
+app.get("/users/getReceipt/:paymentId", authenticateToken, async (req, res) => {
+  try {
+    const rows = await queryDb(
+      `SELECT ph.*, p.name AS plan_name, u.full_name, u.contact
+       FROM payment_history ph
+       JOIN users u ON u.id = ph.user_id
+       LEFT JOIN plans p ON p.id = ph.plan_id
+       WHERE ph.id = ? AND ph.user_id = ?`,
+      [req.params.paymentId, req.user.id]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ status: false, message: "Payment not found" });
+    }
+    const payment = rows[0];
+
+    const lines = [
+      "Holla Gorilla - Payment receipt",
+      "",
+      `Receipt number: ${payment.id}`,
+      `Date: ${moment(payment.date).format("YYYY-MM-DD HH:mm")}`,
+      `Billed to: ${payment.full_name} (${payment.contact})`,
+      "",
+      `Plan: ${payment.plan_name || "-"}`,
+      `Description: ${payment.reason}`,
+      `Period: ${formatReceiptDate(payment.period_start)} to ${formatReceiptDate(payment.period_end)}`,
+      `Amount: ${payment.amount != null ? `${payment.amount} ${payment.currency}` : "-"}`,
+      `Payment reference: ${payment.provider_reference || "-"}`,
+      `Status: ${payment.status === "refunded" ? `Refunded on ${formatReceiptDate(payment.refunded_at)}` : "Paid"}`,
+    ];
+
+    res.attachment(`receipt-${payment.id}.txt`);
+    res.type("text/plain").status(200).send(lines.join("\n") + "\n");
+  } catch (err) {
+    console.error("Error creating receipt:", err);
+    res.status(500).json({ status: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/payments/{id}/refund:
+ *   put:
+ *     summary: Refund a payment
+ *     description: Admins only. Returns the money through the provider that took it (payments recorded by hand are only marked), marks the payment as refunded and takes the unused days of the period it paid for off the user's subscription. If that leaves the expiry in the past the subscription ends straight away.
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Charged twice
+ *     responses:
+ *       200:
+ *         description: Payment refunded. Returns the user's new subscription state.
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Payment not found
+ *       409:
+ *         description: Payment has already been refunded, or was taken by a provider other than the configured one
+ *       500:
+ *         description: Internal server error
+ *       502:
+ *         description: The payment provider refused the refund; nothing was changed
+ */
+app.put(
+  "/admin/payments/:id/refund",
+  upload.none(),
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const payments = await queryDb("SELECT * FROM payment_history WHERE id = ?", [req.params.id]);
+      if (payments.length === 0) {
+        return res.status(404).json({ status: false, message: "Payment not found" });
+      }
+      const payment = payments[0];
+      if (payment.status === "refunded") {
+        return res
+          .status(409)
+          .json({ status: false, message: "Payment has already been refunded" });
+      }
+
+      // Payments recorded by hand were not taken through a provider
+      const takenByProvider = payment.provider && payment.provider !== "manual";
+      if (takenByProvider && payment.provider !== paymentProvider.name) {
+        return res.status(409).json({
+          status: false,
+          message: `Payment was taken by ${payment.provider}, which is not the configured provider`,
         });
       }
 
-      // Fetch the updated user data
-      const fetchUserQuery = "SELECT * FROM users WHERE id = ?";
-      db.query(fetchUserQuery, [user_id], (error, userResults) => {
-        if (error) {
-          console.error("Error fetching user data:", error);
-          return res.status(500).json({
-            message: `Failed to fetch user data: ${error.message}`,
-          });
-        }
+      // Marked first so a second refund, or the provider's refund event,
+      // finds it done
+      const reason = req.body.reason ? String(req.body.reason).slice(0, 255) : null;
+      if (!(await markPaymentRefunded(payment.id, reason))) {
+        return res
+          .status(409)
+          .json({ status: false, message: "Payment has already been refunded" });
+      }
 
-        if (userResults.length === 0) {
-          return res.status(404).json({
-            message: "User not found",
-          });
+      if (takenByProvider) {
+        try {
+          await paymentProvider.refund(payment.provider_reference);
+        } catch (err) {
+          await queryDb(
+            "UPDATE payment_history SET status = 'paid', refunded_at = NULL, refund_reason = NULL WHERE id = ?",
+            [payment.id]
+          );
+          console.error("Error refunding payment with the provider:", err);
+          return res.status(502).json({ status: false, message: err.message });
         }
+      }
 
-        const user = userResults[0];
-        const paymentRecord = {
-          id: paymentResults.insertId,
-          user_id,
-          date: formattedDate,
-          reason,
-        };
+      const { subscribed, subscriptionExpiry } = await revokeRefundedPeriod(payment);
 
-        res.status(201).json({
-          status: "true",
-          message:
-            "Payment record added and user subscription updated successfully",
-          user,
-          paymentRecord,
-        });
+      res.status(200).json({
+        status: true,
+        message: "Payment refunded successfully",
+        subscribed,
+        subscription_expiry: subscriptionExpiry,
       });
-    });
+    } catch (err) {
+      console.error("Error refunding payment:", err);
+      res.status(500).json({ status: false, message: err.message });
+    }
+  }
+);
+
+// Mark a payment refunded. False when it already was.
+const markPaymentRefunded = async (paymentID, reason) => {
+  const result = await queryDb(
+    "UPDATE payment_history SET status = 'refunded', refunded_at = NOW(), refund_reason = ? WHERE id = ? AND status = 'paid'",
+    [reason, paymentID]
+  );
+  return result.affectedRows > 0;
+};
+
+// Take the part of a refunded payment's period that is still to come off the
+// user's expiry, log it and tell the user. Days already used stay used.
+const revokeRefundedPeriod = async (payment) => {
+  const users = await queryDb("SELECT subscription_expiry FROM users WHERE id = ?", [
+    payment.user_id,
+  ]);
+  let subscriptionExpiry = users[0] ? users[0].subscription_expiry : null;
+  if (subscriptionExpiry && payment.period_start && payment.period_end) {
+    const today = moment().startOf("day");
+    const unusedFrom = moment.max(moment(payment.period_start), today);
+    const unusedDays = Math.max(moment(payment.period_end).diff(unusedFrom, "days") + 1, 0);
+    subscriptionExpiry = moment(subscriptionExpiry).subtract(unusedDays, "days").format("YYYY-MM-DD");
+  }
+  const subscribed =
+    subscriptionExpiry != null && moment(subscriptionExpiry).isSameOrAfter(moment(), "day");
+
+  await queryDb("UPDATE users SET subscribed = ?, subscription_expiry = ? WHERE id = ?", [
+    subscribed,
+    subscriptionExpiry,
+    payment.user_id,
+  ]);
+  await queryDb(
+    "INSERT INTO subscription_events (user_id, event, plan_id, subscription_expiry) VALUES (?, 'refunded', ?, ?)",
+    [payment.user_id, payment.plan_id, subscriptionExpiry]
+  );
+  sendToUser(payment.user_id, {
+    cmd: "subscription",
+    status: subscribed ? "active" : "expired",
+    subscription_expiry: subscriptionExpiry,
   });
-});
 
-function addOneMonth(date) {
-  const result = new Date(date);
-  result.setMonth(result.getMonth() + 1);
-  return result;
-}
+  return { subscribed, subscriptionExpiry };
+};
 
+// A refund the provider made on its own. Null when it was already recorded.
+const refundSubscriptionPayment = async (payment, reason) => {
+  if (!(await markPaymentRefunded(payment.id, reason))) {
+    return null;
+  }
+  return revokeRefundedPeriod(payment);
+};
 
-server.listen(port, () => {
-  console.log(`Server is running on port ${port}`);
-});
+// Turn off subscriptions whose expiry date has passed, log each one as an
+// "expired" event and tell the user if they are connected
+const expireSubscriptions = async () => {
+  const lapsed = await queryDb(
+    "SELECT id, plan_id, subscription_expiry FROM users WHERE subscribed = true AND subscription_expiry < CURDATE()"
+  );
+
+  for (const user of lapsed) {
+    // Skip anyone who renewed since the select
+    const result = await queryDb(
+      "UPDATE users SET subscribed = false WHERE id = ? AND subscribed = true AND subscription_expiry < CURDATE()",
+      [user.id]
+    );
+    if (result.affectedRows === 0) {
+      continue;
+    }
+    await queryDb(
+      "INSERT INTO subscription_events (user_id, event, plan_id, subscription_expiry) VALUES (?, 'expired', ?, ?)",
+      [user.id, user.plan_id, user.subscription_expiry]
+    );
+    sendToUser(user.id, {
+      cmd: "subscription",
+      status: "expired",
+      subscription_expiry: user.subscription_expiry,
+    });
+  }
+  return lapsed.length;
+};
+
+const runSubscriptionExpiry = () => {
+  expireSubscriptions().catch((err) => {
+    console.error("Error expiring subscriptions:", err);
+  });
+};
+
+// Start once the schema is set up and migrated
+db.ready
+  .then(resetPresence)
+  .then(() => {
+    runSubscriptionExpiry();
+    setInterval(runSubscriptionExpiry, SUBSCRIPTION_CHECK_MINUTES * 60 * 1000);
+
+    server.listen(port, () => {
+      console.log(`Server is running on port ${port}`);
+    });
+  })
+  .catch(() => {
+    // The reason was logged where it happened
+    process.exit(1);
+  });
@@ -0,0 +1,34 @@
+const assert = require('assert');
+const paymentProvider = require('../config/paymentProvider');
+
+const SECRET = 'whsec_test';
+const body = JSON.stringify({ id: 'evt_1', type: 'payment.succeeded', data: { user_id: 1 } });
+const now = () => Math.floor(Date.now() / 1000);
+
+describe('paymentProvider.verifySignature', () => {
+  it('accepts a fresh signature of the body', () => {
+    const header = paymentProvider.sign(body, SECRET);
+    assert.doesNotThrow(() => paymentProvider.verifySignature(body, header, SECRET));
+  });
+
+  it('rejects a signature made with another secret', () => {
+    const header = paymentProvider.sign(body, 'whsec_other');
+    assert.throws(() => paymentProvider.verifySignature(body, header, SECRET), /Invalid signature/);
+  });
+
+  it('rejects a body changed after signing', () => {
+    const header = paymentProvider.sign(body, SECRET);
+    const tampered = body.replace('"user_id":1', '"user_id":2');
+    assert.throws(() => paymentProvider.verifySignature(tampered, header, SECRET), /Invalid signature/);
+  });
+
+  it('rejects a signature older than five minutes', () => {
+    const header = paymentProvider.sign(body, SECRET, now() - 301);
+    assert.throws(() => paymentProvider.verifySignature(body, header, SECRET), /expired/);
+  });
+
+  it('rejects a missing or malformed header', () => {
+    assert.throws(() => paymentProvider.verifySignature(body, undefined, SECRET), /Missing signature/);
+    assert.throws(() => paymentProvider.verifySignature(body, 'v1=abc', SECRET), /Missing signature/);
+  });
+});
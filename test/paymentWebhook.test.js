@@ -0,0 +1,273 @@
+const assert = require('assert');
+const paymentProvider = require('../config/paymentProvider');
+const createPaymentWebhook = require('../components/paymentWebhook');
+
+const SECRET = 'whsec_test';
+
+// Just enough of payment_events and payment_history for the webhook's queries
+const createFakeDb = () => {
+  const events = new Map();
+  const payments = [];
+  const queries = [];
+
+  const queryDb = async (sql, params = []) => {
+    queries.push(sql);
+    if (sql.startsWith('INSERT IGNORE INTO payment_events')) {
+      const [id, provider, type, userID] = params;
+      if (events.has(id)) {
+        return { affectedRows: 0 };
+      }
+      events.set(id, { id, provider, type, user_id: userID, status: 'processing' });
+      return { affectedRows: 1 };
+    }
+    if (sql.startsWith('UPDATE payment_events')) {
+      const event = events.get(params[params.length - 1]);
+      event.status = sql.match(/status = '(\w+)'/)[1];
+      return { affectedRows: 1 };
+    }
+    if (sql.startsWith('DELETE FROM payment_events')) {
+      events.delete(params[0]);
+      return { affectedRows: 1 };
+    }
+    if (sql.startsWith('SELECT * FROM payment_history')) {
+      const [provider, reference] = params;
+      return payments.filter((payment) => payment.provider === provider && payment.reference === reference);
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return { events, payments, queries, queryDb };
+};
+
+// A webhook handler over a fresh fake db. `failWith` makes the next payment
+// throw that error instead of being recorded. Refunds are collected in
+// `refunds`.
+const setup = () => {
+  const db = createFakeDb();
+  const state = { failWith: null };
+  const applyPayment = async (userID, plan, paidAt, reason, source) => {
+    if (state.failWith) {
+      const err = state.failWith;
+      state.failWith = null;
+      throw err;
+    }
+    const payment = { id: db.payments.length + 1, userID, plan, status: 'paid', ...source };
+    db.payments.push(payment);
+    return payment;
+  };
+  const refunds = [];
+  const applyRefund = async (payment, reason) => {
+    if (payment.status === 'refunded') {
+      return null;
+    }
+    payment.status = 'refunded';
+    refunds.push({ payment, reason });
+    return { subscribed: false, subscriptionExpiry: null };
+  };
+  const handler = createPaymentWebhook({
+    provider: paymentProvider,
+    queryDb: db.queryDb,
+    applyPayment,
+    applyRefund,
+  });
+  return { db, state, refunds, handler };
+};
+
+// Deliver an event the way the provider would, signed unless a header is given
+const deliver = async (handler, event, header) => {
+  const rawBody = JSON.stringify(event);
+  const req = {
+    rawBody: Buffer.from(rawBody),
+    body: event,
+    headers: {
+      [paymentProvider.signatureHeader]: header === undefined ? paymentProvider.sign(rawBody, SECRET) : header,
+    },
+  };
+  const res = {
+    statusCode: null,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  await handler(req, res);
+  return res;
+};
+
+const paymentEvent = (id, paymentID = `pay_${id}`) => ({
+  id,
+  type: 'payment.succeeded',
+  data: { user_id: 1, plan: 'monthly', paid_at: '2024-07-16T12:00:00Z', payment_id: paymentID },
+});
+
+const refundEvent = (id, paymentID) => ({
+  id,
+  type: 'payment.refunded',
+  data: { user_id: 1, payment_id: paymentID },
+});
+
+describe('POST /payments/webhook', () => {
+  let previousSecret;
+  let previousConsoleError;
+
+  beforeEach(() => {
+    previousSecret = process.env.PAYMENT_WEBHOOK_SECRET;
+    process.env.PAYMENT_WEBHOOK_SECRET = SECRET;
+    // The failure paths log on purpose
+    previousConsoleError = console.error;
+    console.error = () => {};
+  });
+
+  afterEach(() => {
+    if (previousSecret === undefined) {
+      delete process.env.PAYMENT_WEBHOOK_SECRET;
+    } else {
+      process.env.PAYMENT_WEBHOOK_SECRET = previousSecret;
+    }
+    console.error = previousConsoleError;
+  });
+
+  it('is unavailable without a webhook secret', async () => {
+    delete process.env.PAYMENT_WEBHOOK_SECRET;
+    const { handler, db } = setup();
+
+    const res = await deliver(handler, paymentEvent('evt_1'));
+
+    assert.strictEqual(res.statusCode, 503);
+    assert.strictEqual(db.queries.length, 0);
+  });
+
+  it('rejects a bad signature without touching the database', async () => {
+    const { handler, db } = setup();
+    const rawBody = JSON.stringify(paymentEvent('evt_1'));
+
+    const res = await deliver(handler, paymentEvent('evt_1'), paymentProvider.sign(rawBody, 'whsec_other'));
+
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(db.queries.length, 0);
+  });
+
+  it('rejects an expired signature', async () => {
+    const { handler, db } = setup();
+    const rawBody = JSON.stringify(paymentEvent('evt_1'));
+    const stale = paymentProvider.sign(rawBody, SECRET, Math.floor(Date.now() / 1000) - 3600);
+
+    const res = await deliver(handler, paymentEvent('evt_1'), stale);
+
+    assert.strictEqual(res.statusCode, 401);
+    assert.match(res.body.message, /expired/);
+    assert.strictEqual(db.queries.length, 0);
+  });
+
+  it('records a payment once when the same event id is delivered twice', async () => {
+    const { handler, db } = setup();
+
+    const first = await deliver(handler, paymentEvent('evt_1'));
+    const second = await deliver(handler, paymentEvent('evt_1'));
+
+    assert.strictEqual(first.statusCode, 200);
+    assert.strictEqual(first.body.processed, true);
+    assert.strictEqual(second.statusCode, 200);
+    assert.strictEqual(second.body.duplicate, true);
+    assert.strictEqual(db.payments.length, 1);
+    assert.strictEqual(db.payments[0].reference, 'pay_evt_1');
+    assert.strictEqual(db.events.get('evt_1').status, 'processed');
+  });
+
+  it('records a payment once when two events report it', async () => {
+    const { handler, db } = setup();
+
+    await deliver(handler, paymentEvent('evt_1', 'pay_1'));
+    const res = await deliver(handler, paymentEvent('evt_2', 'pay_1'));
+
+    assert.strictEqual(res.body.duplicate, true);
+    assert.strictEqual(db.payments.length, 1);
+    assert.strictEqual(db.events.get('evt_2').status, 'ignored');
+  });
+
+  it('records the amount and currency the provider charged', async () => {
+    const { handler, db } = setup();
+    const event = paymentEvent('evt_1');
+    event.data.amount = 4.99;
+    event.data.currency = 'eur';
+
+    await deliver(handler, event);
+
+    assert.strictEqual(db.payments[0].amount, 4.99);
+    assert.strictEqual(db.payments[0].currency, 'EUR');
+  });
+
+  it('applies a refund of a recorded payment once', async () => {
+    const { handler, db, refunds } = setup();
+    await deliver(handler, paymentEvent('evt_1', 'pay_1'));
+
+    const first = await deliver(handler, refundEvent('evt_2', 'pay_1'));
+    const second = await deliver(handler, refundEvent('evt_3', 'pay_1'));
+
+    assert.strictEqual(first.body.processed, true);
+    assert.strictEqual(db.events.get('evt_2').status, 'processed');
+    assert.strictEqual(second.body.duplicate, true);
+    assert.strictEqual(db.events.get('evt_3').status, 'ignored');
+    assert.strictEqual(refunds.length, 1);
+    assert.strictEqual(refunds[0].payment.reference, 'pay_1');
+  });
+
+  it('marks a refund of an unknown payment as failed', async () => {
+    const { handler, db, refunds } = setup();
+
+    const res = await deliver(handler, refundEvent('evt_1', 'pay_1'));
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.processed, false);
+    assert.strictEqual(db.events.get('evt_1').status, 'failed');
+    assert.strictEqual(refunds.length, 0);
+  });
+
+  it('acknowledges events that are not payments without recording anything', async () => {
+    const { handler, db } = setup();
+
+    const res = await deliver(handler, { id: 'evt_1', type: 'payment.pending', data: { user_id: 1 } });
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.processed, false);
+    assert.strictEqual(db.payments.length, 0);
+    assert.strictEqual(db.events.get('evt_1').status, 'ignored');
+  });
+
+  it('marks an event that cannot be applied as failed and does not retry it', async () => {
+    const { handler, db, state } = setup();
+    const err = new Error('Unknown plan "gold"');
+    err.status = 400;
+    state.failWith = err;
+
+    const first = await deliver(handler, paymentEvent('evt_1'));
+    const retry = await deliver(handler, paymentEvent('evt_1'));
+
+    assert.strictEqual(first.statusCode, 200);
+    assert.strictEqual(first.body.processed, false);
+    assert.strictEqual(db.events.get('evt_1').status, 'failed');
+    assert.strictEqual(retry.body.duplicate, true);
+    assert.strictEqual(db.payments.length, 0);
+  });
+
+  it('releases the event on an unexpected error so the retry is processed', async () => {
+    const { handler, db, state } = setup();
+    state.failWith = new Error('Connection lost');
+
+    const first = await deliver(handler, paymentEvent('evt_1'));
+
+    assert.strictEqual(first.statusCode, 500);
+    assert.strictEqual(db.events.has('evt_1'), false);
+
+    const retry = await deliver(handler, paymentEvent('evt_1'));
+
+    assert.strictEqual(retry.statusCode, 200);
+    assert.strictEqual(retry.body.processed, true);
+    assert.strictEqual(db.payments.length, 1);
+  });
+});
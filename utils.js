@@ -1,6 +1,28 @@
 const cloudinary = require("./config/cloudinaryConfig");
 require("dotenv").config();
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const db = require("./config/dbConnection");
+
+const ACCESS_TOKEN_TTL_SECONDS =
+  parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 900;
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const SIGNUP_TOKEN_TTL_SECONDS =
+  parseInt(process.env.SIGNUP_TOKEN_TTL_SECONDS, 10) || 900;
+
+// Promise wrapper around db.query for async/await routes
+const queryDb = (query, params) => {
+  return new Promise((resolve, reject) => {
+    db.query(query, params, (err, results) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(results);
+      }
+    });
+  });
+};
 
 // Haversine formula to calculate distance between two points in KM
 function calculateDistance(lat1, lon1, lat2, lon2) {
@@ -17,11 +39,105 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
   return R * c; // Distance in kilometers
 }
 
+// Interests are stored as a JSON array, but older rows hold a comma separated string
+const parseInterests = (likes) => {
+  let list = likes;
+  if (typeof likes === "string") {
+    try {
+      list = JSON.parse(likes);
+    } catch (err) {
+      list = likes.split(",");
+    }
+  }
+  return Array.isArray(list)
+    ? list.map((like) => String(like).trim().toLowerCase()).filter(Boolean)
+    : [];
+};
+
+// Whole years between a date of birth and today
+const ageFromDob = (dob) => {
+  if (!dob) {
+    return null;
+  }
+  const birth = new Date(dob);
+  const today = new Date();
+  let age = today.getFullYear() - birth.getFullYear();
+  if (
+    today.getMonth() < birth.getMonth() ||
+    (today.getMonth() === birth.getMonth() && today.getDate() < birth.getDate())
+  ) {
+    age -= 1;
+  }
+  return age;
+};
+
+// How much each part counts towards the 0-100 compatibility score
+const COMPATIBILITY_WEIGHTS = {
+  interests: 40,
+  distance: 30,
+  age: 15,
+  activity: 15,
+};
+
+// The 0-100 compatibility score of a discovery candidate as a SQL expression
+// over the row `alias`, which must have a distance column (km, or NULL).
+// `preferences` holds interests (array) and ageRange ([min, max]), either of
+// which may be missing. Age and activity are measured at `asOf` (a DATETIME
+// string) rather than NOW(), so a score only changes when the row does and
+// results can be paged on it. Returns { sql, params }.
+const compatibilityScoreSql = (alias, preferences, asOf) => {
+  const { interests = [], ageRange } = preferences;
+  const params = [];
+
+  // Share of the viewer's interests the candidate also has. Stored interests
+  // are a JSON array or, in older rows, a comma separated string.
+  let interestFit = "0";
+  if (interests.length) {
+    interestFit = `(${interests
+      .map(() => `COALESCE(LOWER(CAST(${alias}.likes AS CHAR)) REGEXP ?, 0)`)
+      .join(" + ")}) / ${interests.length}`;
+    interests.forEach((like) => {
+      const escaped = like.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      params.push(`(^|[",])[[:space:]]*${escaped}[[:space:]]*($|[",])`);
+    });
+  }
+
+  // Halves every 10 km
+  const distanceFit = `COALESCE(1 / (1 + ${alias}.distance / 10), 0)`;
+
+  // Full marks inside the preferred range, fading out over 10 years outside it
+  let ageFit = "0";
+  if (ageRange) {
+    const age = `TIMESTAMPDIFF(YEAR, ${alias}.date_of_birth, ?)`;
+    ageFit = `COALESCE(GREATEST(0, 1 - GREATEST(? - ${age}, ${age} - ?, 0) / 10), 0)`;
+    params.push(ageRange[0], asOf, asOf, ageRange[1]);
+  }
+
+  // Online now is best, otherwise fades out over 30 days since last seen
+  const activityFit = `(CASE WHEN ${alias}.online_status = 'ONLINE' THEN 1
+    WHEN ${alias}.last_seen IS NULL THEN 0
+    ELSE GREATEST(0, 1 - TIMESTAMPDIFF(SECOND, ${alias}.last_seen, ?) / 2592000) END)`;
+  params.push(asOf);
+
+  const sql = `ROUND(
+    ${interestFit} * ${COMPATIBILITY_WEIGHTS.interests} +
+    ${distanceFit} * ${COMPATIBILITY_WEIGHTS.distance} +
+    ${ageFit} * ${COMPATIBILITY_WEIGHTS.age} +
+    ${activityFit} * ${COMPATIBILITY_WEIGHTS.activity})`;
+  return { sql, params };
+};
+
+// The viewer's interests a candidate shares
+const sharedInterests = (candidate, interests) => {
+  const candidateInterests = parseInterests(candidate.likes);
+  return interests.filter((like) => candidateInterests.includes(like));
+};
+
 // Helper function to upload files to Cloudinary
-const uploadToCloudinary = (file, folder) => {
+const uploadToCloudinary = (file, folder, options = {}) => {
   return new Promise((resolve, reject) => {
     cloudinary.uploader
-      .upload_stream({ folder: folder }, (error, result) => {
+      .upload_stream({ folder: folder, ...options }, (error, result) => {
         if (error) {
           reject(error);
         } else {
@@ -32,6 +148,55 @@ const uploadToCloudinary = (file, folder) => {
   });
 };
 
+// Attachment kinds allowed in chat, with their MIME types and size limits
+const ATTACHMENT_TYPES = {
+  image: {
+    mimeTypes: ["image/jpeg", "image/png", "image/webp", "image/gif"],
+    maxBytes: 10 * 1024 * 1024,
+  },
+  audio: {
+    mimeTypes: [
+      "audio/mpeg",
+      "audio/mp4",
+      "audio/aac",
+      "audio/ogg",
+      "audio/webm",
+      "audio/wav",
+    ],
+    maxBytes: 15 * 1024 * 1024,
+  },
+};
+
+// Work out which attachment kind an uploaded file is, or throw a 4xx error
+const getAttachmentType = (file) => {
+  const type = Object.keys(ATTACHMENT_TYPES).find((key) =>
+    ATTACHMENT_TYPES[key].mimeTypes.includes(file.mimetype)
+  );
+  if (!type) {
+    throw httpError(415, `Unsupported file type ${file.mimetype}`);
+  }
+  if (file.size > ATTACHMENT_TYPES[type].maxBytes) {
+    throw httpError(
+      413,
+      `${type} attachments can be at most ${ATTACHMENT_TYPES[type].maxBytes / (1024 * 1024)} MB`
+    );
+  }
+  return type;
+};
+
+// A reaction is a single emoji: a flag (two regional indicators) or a
+// pictograph with optional variation selector, skin tone and tag sequence,
+// possibly joined to more of them with zero width joiners (ZWJ).
+const EMOJI_PART =
+  "\\p{Extended_Pictographic}(?:\\uFE0F|\\p{Emoji_Modifier})?(?:[\\u{E0020}-\\u{E007E}]+\\u{E007F})?";
+const SINGLE_EMOJI = new RegExp(
+  `^(?:\\p{Regional_Indicator}{2}|${EMOJI_PART}(?:\\u200D${EMOJI_PART})*)$`,
+  "u"
+);
+const isEmoji = (value) => {
+  return typeof value === "string" && value.length <= 32 && SINGLE_EMOJI.test(value);
+};
+
 // Middleware for validating signup request
 const validateSignup = (req, res, next) => {
   const {
@@ -86,6 +251,21 @@ const validateSignup = (req, res, next) => {
   next();
 };
 
+// Pull the JWT from the Authorization header, falling back to a `token`
+// query param for clients (like browser WebSockets) that cannot set headers
+const extractToken = (req) => {
+  const authHeader = req.headers["authorization"];
+  if (authHeader) {
+    return authHeader.split(" ")[1]; // Extract the token part
+  }
+  const { searchParams } = new URL(req.url, "http://localhost");
+  return searchParams.get("token");
+};
+
+const verifyToken = (token, callback) => {
+  jwt.verify(token, process.env.JWT_SECRET_KEY, callback);
+};
+
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1]; // Extract the token part
@@ -96,23 +276,274 @@ const authenticateToken = (req, res, next) => {
       .json({ status: false, message: "No token provided" });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET_KEY, (err, user) => {
-    if (err) {
+  verifyToken(token, (err, user) => {
+    if (err && err.name === "TokenExpiredError") {
+      return res.status(401).json({ status: false, message: "Token expired" });
+    }
+    if (err || user.sid == null) {
       return res.status(403).json({ status: false, message: "Invalid token" });
     }
 
-    req.user = user;
+    // Logging out revokes the session, which kills its access tokens early
+    db.query(
+      "SELECT id FROM sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL",
+      [user.sid, user.id],
+      (err, result) => {
+        if (err) {
+          return res.status(500).json({ status: false, message: err.message });
+        }
+        if (result.length === 0) {
+          return res
+            .status(401)
+            .json({ status: false, message: "Session has been revoked" });
+        }
+
+        req.user = user;
+        next();
+      }
+    );
+  });
+};
+
+// Make a user-scoped route act on the authenticated user. `location` is where
+// the route reads its user id from (params, body or query) and `field` is the
+// key; a missing id is filled from the token, a different one is rejected.
+const authorizeUser = (location, field) => (req, res, next) => {
+  if (!req.user || req.user.id == null) {
+    return res
+      .status(401)
+      .json({ status: false, message: "Token does not identify a user" });
+  }
+
+  const source = req[location] || (req[location] = {});
+  const requestedID = source[field];
+  if (
+    requestedID != null &&
+    requestedID !== "" &&
+    String(requestedID) !== String(req.user.id)
+  ) {
+    return res.status(403).json({
+      status: false,
+      message: "You are not allowed to act on behalf of another user",
+    });
+  }
+
+  source[field] = String(req.user.id);
+  next();
+};
+
+// Only lets users with the admin role through. Runs after authenticateToken.
+const requireAdmin = (req, res, next) => {
+  db.query("SELECT role FROM users WHERE id = ?", [req.user.id], (err, result) => {
+    if (err) {
+      return res.status(500).json({ status: false, message: err.message });
+    }
+    if (result.length === 0 || result[0].role !== "admin") {
+      return res
+        .status(403)
+        .json({ status: false, message: "Admin access required" });
+    }
     next();
   });
 };
 
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Short-lived access token tied to a session
+const signAccessToken = (user, sessionID) => {
+  return jwt.sign(
+    { id: user.id, contact: user.contact, sid: sessionID },
+    process.env.JWT_SECRET_KEY,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+};
+
+// Start a session for one of the user's devices and return its tokens.
+// Logging in again on the same device replaces that device's session.
+const createSession = async (user, deviceID) => {
+  const device = deviceID || "default";
+  await queryDb(
+    "UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND device_id = ? AND revoked_at IS NULL",
+    [user.id, device]
+  );
+
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  const result = await queryDb(
+    `INSERT INTO sessions (user_id, device_id, refresh_token_hash, expires_at)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [user.id, device, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  return {
+    token: signAccessToken(user, result.insertId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  };
+};
+
+// Trade a refresh token for a new token pair. The old refresh token stops
+// working; presenting it again means it leaked, so the session is revoked.
+// Resolves to null when the refresh token is not usable.
+const refreshSession = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const sessions = await queryDb(
+    `SELECT s.id, u.id AS user_id, u.contact FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.refresh_token_hash = ? AND s.revoked_at IS NULL
+     AND s.expires_at > NOW() AND u.status = 'ACTIVE'`,
+    [tokenHash]
+  );
+
+  if (sessions.length === 0) {
+    await queryDb(
+      "UPDATE sessions SET revoked_at = NOW() WHERE previous_token_hash = ? AND revoked_at IS NULL",
+      [tokenHash]
+    );
+    return null;
+  }
+
+  const session = sessions[0];
+  const nextRefreshToken = crypto.randomBytes(48).toString("hex");
+  await queryDb(
+    `UPDATE sessions SET previous_token_hash = refresh_token_hash,
+     refresh_token_hash = ?, expires_at = DATE_ADD(NOW(), INTERVAL ? DAY),
+     last_used_at = NOW() WHERE id = ?`,
+    [hashToken(nextRefreshToken), REFRESH_TOKEN_TTL_DAYS, session.id]
+  );
+
+  return {
+    token: signAccessToken(
+      { id: session.user_id, contact: session.contact },
+      session.id
+    ),
+    refreshToken: nextRefreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  };
+};
+
+// Six digit one-time password, zero padded
+const generateOtp = () => {
+  return crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+};
+
+// OTPs are only ever stored hashed
+const hashOtp = (code) => {
+  return hashToken(String(code));
+};
+
+const otpMatches = (code, codeHash) => {
+  return crypto.timingSafeEqual(
+    Buffer.from(hashOtp(code), "hex"),
+    Buffer.from(codeHash, "hex")
+  );
+};
+
+// Short-lived proof that a contact passed OTP verification, which signup
+// requires. It has no session, so it is never accepted as an access token.
+const createSignupToken = (contact) => {
+  return {
+    signupToken: jwt.sign({ contact, purpose: "signup" }, process.env.JWT_SECRET_KEY, {
+      expiresIn: SIGNUP_TOKEN_TTL_SECONDS,
+    }),
+    expiresIn: SIGNUP_TOKEN_TTL_SECONDS,
+  };
+};
+
+// The contact a signup token was issued for, or null if it is not a valid one
+const verifySignupToken = (token) => {
+  try {
+    const payload = jwt.verify(String(token || ""), process.env.JWT_SECRET_KEY);
+    return payload.purpose === "signup" ? payload.contact : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Error carrying the HTTP status a route should answer with
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Features that need an active subscription, with the name shown to users
+const PREMIUM_FEATURES = {
+  unlimited_likes: "Unlimited daily likes",
+  undo_skip: "Undo skip",
+  see_likes: "Seeing who liked you",
+  extended_radius: "A larger discovery radius",
+};
+
+// A subscription counts until the end of its expiry date
+const hasActiveSubscription = async (userID) => {
+  const rows = await queryDb(
+    `SELECT id FROM users WHERE id = ? AND subscribed = true
+     AND (subscription_expiry IS NULL OR subscription_expiry >= CURDATE())`,
+    [userID]
+  );
+  return rows.length > 0;
+};
+
+// 402 error for a premium feature; routes pass err.feature on to the client
+const paymentRequired = (feature) => {
+  const error = httpError(
+    402,
+    `${PREMIUM_FEATURES[feature]} requires an active subscription`
+  );
+  error.feature = feature;
+  return error;
+};
+
+// Only lets subscribed users use `feature`. Runs after authenticateToken.
+const requireEntitlement = (feature) => (req, res, next) => {
+  hasActiveSubscription(req.user.id)
+    .then((active) => {
+      if (!active) {
+        const error = paymentRequired(feature);
+        return res
+          .status(402)
+          .json({ status: false, message: error.message, feature });
+      }
+      next();
+    })
+    .catch((err) => {
+      res.status(500).json({ status: false, message: err.message });
+    });
+};
+
 module.exports = authenticateToken;
 
 
 
 module.exports = {
   calculateDistance,
+  parseInterests,
+  ageFromDob,
+  compatibilityScoreSql,
+  sharedInterests,
   uploadToCloudinary,
   validateSignup,
   authenticateToken,
+  authorizeUser,
+  requireAdmin,
+  extractToken,
+  verifyToken,
+  queryDb,
+  createSession,
+  refreshSession,
+  generateOtp,
+  hashOtp,
+  otpMatches,
+  createSignupToken,
+  verifySignupToken,
+  httpError,
+  PREMIUM_FEATURES,
+  hasActiveSubscription,
+  paymentRequired,
+  requireEntitlement,
+  ATTACHMENT_TYPES,
+  getAttachmentType,
+  isEmoji,
 };